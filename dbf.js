@@ -6,13 +6,15 @@
 "use strict";
 
 const fs = require("fs");
+const crypto = require("crypto");
+const http = require("http");
 
 /**
  * Main class for managing a Discord bot
  */
 class DiscordBot {
     /**
-     * Constructor for creating a Discord bot
+     * Constructor for creating a Discord bot. Throws a `ConfigError` listing every problem if `data` misses required options or has options of the wrong type. Unknown options are allowed, e.g. for plugins, but log a warning in case they are a typo
      * @param {Object} data All the data that the library needs to function
      * @returns {DiscordBot} Discord bot
      */
@@ -30,7 +32,7 @@ class DiscordBot {
          */
         client: null,
         /**
-         * Discord client options. Discord client intents are required
+         * Discord client options. Discord client intents are required. Intents and partials can be given by name, like `GUILD_MESSAGES` or `GuildMessages`, on both discord.js v13 and v14
          */
         clientOptions: [],
         /** 
@@ -38,17 +40,33 @@ class DiscordBot {
          */
         token: "",
         /**
-         * Discord bot prefixes. Defaults to `!`. Note that this *is* an array, so you can have multiple prefixes
+         * Discord bot prefixes. Defaults to `!`. Note that this *is* an array, so you can have multiple prefixes. Servers can have their own prefixes through `settings`
          */
         prefixes: ["!"],
+        /**
+         * Allow using the bot by mentioning it, e.g. `@Bot help`. Defaults to `false`
+         */
+        mentionPrefix: false,
         /**
          * Discord bot owners
          */
         owners: [],
         /** 
-         * Discord bot blocked users. **This feature is currently broken**
+         * Discord bot blocked users. Use `block()` to block users at runtime
          */
         blockedUsers: [],
+        /**
+         * Discord bot blocked roles. Members with any of these roles can't use the bot
+         */
+        blockedRoles: [],
+        /**
+         * Discord bot blocked servers. Nobody can use the bot in these servers
+         */
+        blockedGuilds: [],
+        /**
+         * Storage for cooldowns, block lists and your own data. Either a store like `new MemoryStore()` or `new JSONStore("./data.json")`, or a path to a JSON file. Any object with the same methods as `MemoryStore` works. Defaults to a `MemoryStore`, which is cleared when the bot restarts
+         */
+        store: null,
         /**
          * Discord bot statuses
          * ```json
@@ -61,27 +79,44 @@ class DiscordBot {
                 {
                     "name": "I'm a Discord bot!",
                     "type": "WATCHING",
-                    "status": "dnd"
+                    "status": "dnd",
+                    "weight": 2,
+                    "duration": 60000
                 }
             ]
          * ```
+         * `weight` is used by the `weighted` status mode, and `duration` overrides `statusInterval`. A status can also be a function of the bot, which can be async, returning a status, or `null` to keep the current one:
+         * ```javascript
+         * async bot => ({ name: (await player.songCount()) + " songs", type: "LISTENING" })
+         * ```
          */
         statuses: [],
         /** 
-         * Discord bot status interval in which the Discord bot status should be updated. Defaults to `15000` (15 seconds)
+         * Discord bot status interval in which the Discord bot status should be updated. Either milliseconds or a duration like `1m`. Defaults to `15000` (15 seconds)
          */
         statusInterval: 15000,
         /**
-         * Discord bot responses. Defaults to:
+         * How the next status is picked from `statuses`: `random`, `sequential` (in order) or `weighted` (random, using the `weight` of each status, which defaults to `1`). Defaults to `random`
+         */
+        statusMode: "random",
+        /**
+         * Your own placeholders for statuses, next to `{{name}}`, `{{prefix}}`, `{{servers}}`, `{{channels}}`, `{{users}}` (totals across all shards), `{{shards}}` (number of shards) and `{{shard}}` (IDs of the shards of this process). Each one is a value or a function of the bot, which can be async. Example:
+         * ```javascript
+         * { songs: async bot => (await player.queue()).length } // "Playing {{songs}} songs"
+         * ```
+         */
+        statusPlaceholders: {},
+        /**
+         * Discord bot responses, used for the default locale. Only the responses you want to change have to be given, the others keep their default text. Placeholders like `{{cooldown}}` are filled in, and `{{cooldown|one:second|other:seconds}}` picks the plural form for the number in `{{cooldown}}`. The texts of embed titles, the help command and argument errors can be changed here too, see `DEFAULT_RESPONSES` at the bottom of this script for all of them. Defaults to:
          * ```json
          * "command_unknown": [
                 "This command doesn't exist"
             ],
             "command_error": [
-                "Something went wrong: ```{{error}}```"
+                "Something went wrong. If this keeps happening, please report error `{{id}}`"
             ],
             "command_cooldown": [
-                "Please wait `{{cooldown}}` second{{s}} before using this command again"
+                "Please wait `{{cooldown}}` {{cooldown|one:second|other:seconds}} before using this command again"
             ],
             "command_guild_only": [
                 "This command can only be used in a server"
@@ -103,6 +138,21 @@ class DiscordBot {
             ],
             "command_incorrect_usage": [
                 "Please use this command correctly: `{{usage}}`"
+            ],
+            "command_disabled": [
+                "This command is disabled here"
+            ],
+            "help_description": [
+                "Use `{{prefix}}{{command}} <command>` to get more information about a command"
+            ],
+            "help_no_description": [
+                "No description"
+            ],
+            "prompt_timeout": [
+                "You took too long to answer"
+            ],
+            "prompt_cancelled": [
+                "Cancelled"
             ]
          * ```
          */
@@ -111,10 +161,10 @@ class DiscordBot {
                 "This command doesn't exist"
             ],
             "command_error": [
-                "Something went wrong: ```{{error}}```"
+                "Something went wrong. If this keeps happening, please report error `{{id}}`"
             ],
             "command_cooldown": [
-                "Please wait `{{cooldown}}` second{{s}} before using this command again"
+                "Please wait `{{cooldown}}` {{cooldown|one:second|other:seconds}} before using this command again"
             ],
             "command_guild_only": [
                 "This command can only be used in a server"
@@ -136,8 +186,31 @@ class DiscordBot {
             ],
             "command_incorrect_usage": [
                 "Please use this command correctly: `{{usage}}`"
+            ],
+            "command_disabled": [
+                "This command is disabled here"
+            ],
+            "help_description": [
+                "Use `{{prefix}}{{command}} <command>` to get more information about a command"
+            ],
+            "help_no_description": [
+                "No description"
+            ],
+            "prompt_timeout": [
+                "You took too long to answer"
+            ],
+            "prompt_cancelled": [
+                "Cancelled"
             ]
         },
+        /**
+         * Default locale of the bot, used when a user or server hasn't picked one. Defaults to `en`
+         */
+        locale: "en",
+        /**
+         * Discord bot locales folder in which the translations of the responses are located, e.g. `locales/de.json` with `{ "command_unknown": ["Diesen Befehl gibt es nicht"] }`. Defaults to `locales`
+         */
+        localesPath: "locales",
         /**
          * Discord bot slash commands. Defaults to `false`
          */
@@ -147,7 +220,23 @@ class DiscordBot {
          */
         path: ".",
         /**
-         * Discord bot commands folder in which all Discord bot command files are located. Defaults to `command`
+         * Discord bot commands folder in which all Discord bot command files are located. Defaults to `command`. Subfolders are loaded too, and the name of the subfolder becomes the `category` of the command unless the command sets its own. Commands with `hybrid: true` also become slash commands when `slash` is enabled:
+         * ```javascript
+         * module.exports = {
+         *      name: "kick",
+         *      description: "Kicks a member",
+         *      hybrid: true,
+         *      permissions: ["KICK_MEMBERS"],
+         *      arguments: [
+         *          { name: "member", type: "member", description: "Member to kick" },
+         *          { name: "reason", type: "rest", optional: true }
+         *      ],
+         *      async execute(context) { // Same context for `!kick @user` and `/kick`
+         *          await context.options.member.kick(context.options.reason);
+         *          await context.reply("Kicked " + context.options.member.displayName);
+         *      }
+         * };
+         * ```
          */
         commandsPath: "commands",
         /**
@@ -155,7 +244,8 @@ class DiscordBot {
          */
         eventsPath: "events",
         /**
-         * Discord bot buttons folder in which all Discord bot event button are located. Defaults to `buttons`
+         * Discord bot buttons folder in which all Discord bot event button are located. Defaults to `buttons`.
+         * The `id` of a button, select menu or modal can be an exact custom ID, a pattern like `vote:{pollId}:{choice}` or a regular expression. Params of a pattern never contain a `:`. The parsed params are passed as `context.params`
          */
         buttonsPath: "buttons",
         /**
@@ -163,38 +253,147 @@ class DiscordBot {
          */
         selectMenusPath: "selects",
         /**
-         * Discord bot slash commands folder in which all Discord bot slash command files are located. Defaults to `slash`
+         * Discord bot modals folder in which all Discord bot modal files are located. Defaults to `modals`
+         */
+        modalsPath: "modals",
+        /**
+         * Discord bot slash commands folder in which all Discord bot slash command files are located. Defaults to `slash`. Slash commands can have an `autocomplete(interaction)` function for options with autocomplete enabled
          */
         slashPath: "slash",
         /**
-         * Log information to console. Defaults to `true`
+         * Discord bot context menus folder in which all Discord bot user and message context menu files are located. They are deployed together with the slash commands. Defaults to `contexts`
+         */
+        contextsPath: "contexts",
+        /**
+         * Discord bot tasks folder in which all scheduled task files are located. Defaults to `tasks`. A task runs on a `cron` expression or an `interval`, and a run is skipped while the previous one is still going:
+         * ```javascript
+         * module.exports = {
+         *      name: "morning",
+         *      cron: "0 8 * * 1-5", // 08:00 on weekdays. Use `interval: "15m"` to run every 15 minutes instead
+         *      timezone: "Europe/Amsterdam",
+         *      runOnStart: false,
+         *      async execute(bot, task) {
+         *          const channel = await bot.client.channels.fetch("123456789012345678");
+         *          await channel.send("Good morning!");
+         *      }
+         * };
+         * ```
+         * Tasks with `enabled: false` aren't started until `startTask()` is called
+         */
+        tasksPath: "tasks",
+        /**
+         * Timezone of cron tasks that don't set their own `timezone`, e.g. `America/New_York`. Defaults to the timezone of the system
+         */
+        timezone: null,
+        /**
+         * Built-in help command. Set to `true` to enable it, or pass options. Not registered if a command named `help` already exists. Defaults to `false`
+         * ```json
+         * {
+                "name": "help",
+                "aliases": ["commands"],
+                "color": "BLUE",
+                "perPage": 5,
+                "timeout": 60000
+            }
+         * ```
+         * Commands can set `hidden: true` to never show up in the help command
+         */
+        help: false,
+        /**
+         * Built-in checks to run before every command, in order. Leave one out to disable it. Defaults to:
+         * ```json
+         * ["disabled", "blocked", "cooldown", "guild_only", "dms_only", "owners_only", "permissions", "bot_permissions", "arguments"]
+         * ```
+         */
+        checks: ["disabled", "blocked", "cooldown", "guild_only", "dms_only", "owners_only", "permissions", "bot_permissions", "arguments"],
+        /**
+         * Log information. When `false`, only warnings and errors are logged. Defaults to `true`
          */
         logging: true,
+        /**
+         * Lowest level to log: `debug`, `info`, `warn`, `error` or `silent`. Defaults to `debug` when `dev` is on, and `info` otherwise
+         */
+        logLevel: "info",
+        /**
+         * Where log entries are written. A list of transports like `new ConsoleTransport()`, `new FileTransport("bot.log")` and `new JSONTransport()`, or functions given each entry. Defaults to the console
+         */
+        logTransports: null,
+        /**
+         * Your own logger to use instead of the built-in one, e.g. a `Logger` with other transports. It needs `debug`, `info`, `warn` and `error` functions, which are given a message and an object with fields like `command`, `guild`, `user`, `duration` and `error`
+         */
+        logger: null,
+        /**
+         * Serves the metrics of the bot in the Prometheus text format over HTTP. Either `false`, `true` to serve them on port 9464, or an object with a `port`, `host` and `path` (defaults to `/metrics`). Defaults to `false`
+         */
+        metrics: false,
+        /**
+         * Config of plugins by plugin name, merged over the `defaults` of the plugin. See `plugin()`. Example:
+         * ```json
+         * { "tickets": { "category": "123456789012345678", "limit": 2 } }
+         * ```
+         */
+        pluginOptions: {},
+        /**
+         * Where full error reports with stack traces are sent. `channel` is the ID of a channel to post them in, and `owners` also sends them to the bot owners in DMs. Defaults to `null`
+         * ```json
+         * { "channel": "123456789012345678", "owners": false }
+         * ```
+         */
+        errorReports: null,
         /**
          * Discord ot development. Defaults to `true`
          */
         dev: true,
         /**
-         * Discord bot development guild id
+         * Discord bot development guild id. Can be an array of ids. When `dev` is enabled, slash commands are only deployed to these guilds
+         */
+        devGuildId: "",
+        /**
+         * File in which the hashes of the deployed slash commands are saved, so nothing is sent to Discord when the commands haven't changed. Set to `false` to always check with Discord. Defaults to `.slash-cache.json` in `path`, which is also used for `true`
+         */
+        slashCache: ".slash-cache.json",
+        /**
+         * Watch the command, event, button, select menu and slash command folders and reload files when they change. Only works when `dev` is enabled. Defaults to `false`
          */
-        devGuildId: ""
+        watch: false
     }) {
+        const problems = validateConfig(data);
+        if (problems.length > 0) throw new ConfigError(problems);
+
+        // Responses that aren't given keep their default text
+        data = Object.assign({}, data, { responses: Object.assign({}, DEFAULT_RESPONSES, normalizeResponses(data.responses || {})) });
+
         /**
          * Discord API
          */
         this.discord = data.discordApi || null;
+        /**
+         * Adapter for the differences between discord.js v13 and v14, so the same config and modules work on both. See `DiscordCompat`
+         */
+        this.compat = new DiscordCompat(this.discord);
         /**
          * Discord client. Used to access the bot itself
          */
-        this.client = new this.discord.Client(data.clientOptions || []);
+        this.client = new this.discord.Client(this.compat.clientOptions(data.clientOptions || []));
         /**
-         * Discord bot token `REQUIRED`
+         * Discord bot token `REQUIRED`. Falls back to the `DISCORD_TOKEN` environment variable, which is set for every shard by `ShardLauncher`
          */
-        this.token = data.token || "";
+        this.token = data.token || process.env.DISCORD_TOKEN || "";
         /**
          * Discord bot data
          */
         this.data = data || {};
+        /**
+         * Logger used for all output of the bot
+         */
+        this.logger = data.logger || new Logger({
+            level: data.logLevel || (data.logging === false ? "warn" : data.dev ? "debug" : "info"),
+            transports: data.logTransports || [new ConsoleTransport()]
+        });
+        // Custom loggers only need `debug`, `info`, `warn` and `error`, so they don't get the shard field without a `child()`
+        if (this.client.shard && typeof this.logger.child === "function") this.logger = this.logger.child({ shard: this.client.shard.ids.join(",") });
+        for (const warning of unknownOptions(data)) this.logger.warn(warning);
+        for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) if (schema.deprecated && typeof data[key] !== "undefined") this.logger.warn(key + " is deprecated. Use " + schema.deprecated + " instead");
         /**
          * Discord client options. Discord client intents are required for v13 and higher
          */
@@ -215,203 +414,563 @@ class DiscordBot {
         this.responses = {
             /**
              * Unknown command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_unknown: (message, data) => {
-                const msg = this.data.responses.command_unknown[Math.floor(Math.random() * this.data.responses.command_unknown.length)]
-                    .replace(/{{command}}/g, data.command_name)
-                    .replace(/{{prefix}}/g, data.prefix);
+            command_unknown: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_unknown", {
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
-                    .setTitle("Unknown Command")
+                    .setTitle(this.__text("title_command_unknown", {}, locale))
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Error command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_error: (message, data) => {
-                const msg = this.data.responses.command_error[Math.floor(Math.random() * this.data.responses.command_error.length)]
-                    .replace(/{{error}}/g, data.error)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_error: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_error", {
+                    error: data.error,
+                    id: data.error_id,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
-                    .setTitle("Error")
+                    .setTitle(this.__text("title_command_error", {}, locale))
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Cooldown command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_cooldown: (message, data) => {
-                const msg = this.data.responses.command_cooldown[Math.floor(Math.random() * this.data.responses.command_cooldown.length)]
-                    .replace(/{{s}}/g, data.s)
-                    .replace(/{{cooldown}}/g, data.time_left)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_cooldown: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_cooldown", {
+                    s: data.s,
+                    cooldown: data.time_left,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Guild-only command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_guild_only: (message, data) => {
-                const msg = this.data.responses.command_guild_only[Math.floor(Math.random() * this.data.responses.command_guild_only.length)]
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_guild_only: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_guild_only", {
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Dms-only command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_dms_only: (message, data) => {
-                const msg = this.data.responses.command_dms_only[Math.floor(Math.random() * this.data.responses.command_dms_only.length)]
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_dms_only: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_dms_only", {
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Owners-only command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_owners_only: (message, data) => {
-                const msg = this.data.responses.command_owners_only[Math.floor(Math.random() * this.data.responses.command_owners_only.length)]
-                    .replace(/{{s}}/g, data.s)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_owners_only: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_owners_only", {
+                    s: data.s,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Blocked command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_blocked: (message, data) => {
-                const msg = this.data.responses.command_blocked[Math.floor(Math.random() * this.data.responses.command_blocked.length)]
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_blocked: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_blocked", {
+                    reason: data.reason,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
-                    .setTitle("Blocked")
+                    .setTitle(this.__text("title_command_blocked", {}, locale))
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * No permission command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_no_permission: (message, data) => {
-                const msg = this.data.responses.command_no_permission[Math.floor(Math.random() * this.data.responses.command_no_permission.length)]
-                    .replace(/{{permissions}}/g, data.permissions)
-                    .replace(/{{s}}/g, data.s)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_no_permission: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_no_permission", {
+                    permissions: data.permissions,
+                    s: data.s,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * No bot permission command responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_no_bot_permission: (message, data) => {
-                const msg = this.data.responses.command_no_bot_permission[Math.floor(Math.random() * this.data.responses.command_no_bot_permission.length)]
-                    .replace(/{{permissions}}/g, data.permissions)
-                    .replace(/{{s}}/g, data.s)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_no_bot_permission: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_no_bot_permission", {
+                    permissions: data.permissions,
+                    s: data.s,
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             },
             /**
              * Incorrect command usage responce
-             * @param {Message} message Class with data from the message
+             * @param {Message|Interaction} message Class with data from the message or interaction
              * @param {Object} data Object with data for the responce
              * @returns {Promise<Message>} The sent message
              */
-            command_incorrect_usage: (message, data) => {
-                const msg = this.data.responses.command_incorrect_usage[Math.floor(Math.random() * this.data.responses.command_incorrect_usage.length)]
-                    .replace(/{{usage}}/g, data.usage)
-                    .replace(/{{author}}/g, message.author.username)
-                    .replace(/{{command}}/g, data.command_name);
+            command_incorrect_usage: async (message, data) => {
+                const locale = await this.__locale(message, data);
+                const msg = this.__text("command_incorrect_usage", {
+                    usage: data.usage,
+                    error: data.error || "",
+                    author: this.__author(message).username,
+                    command: data.command_name,
+                    prefix: data.prefix
+                }, locale);
                 
-                const embed = new this.discord.MessageEmbed()
+                const embed = new this.compat.Embed()
                     .setColor("RED")
                     .setDescription(msg);
                 
-                return message.channel.send({ embeds: [embed] });
+                return this.__send(message, { embeds: [embed] });
             }
         };
         
+        /**
+         * Storage used for cooldowns and block lists. Also available to commands as `message.client.store`. Example:
+         * ```javascript
+         * await bot.store.set("reminders", message.author.id, "Feed the cat", 60000); // Expires after a minute
+         * await bot.store.get("reminders", message.author.id); // "Feed the cat"
+         * ```
+         */
+        this.store = typeof data.store === "string" ? new JSONStore(data.store) : data.store || new MemoryStore();
+        if (this.store instanceof JSONStore && !this.store.logger) this.store.logger = this.logger;
+        /**
+         * Counters and latency histograms of commands and interactions. See `stats()`
+         */
+        this.metrics = new Metrics();
+        /**
+         * HTTP server for the metrics, when `data.metrics` is on
+         */
+        this.metricsServer = null;
+        this.client.store = this.store;
+        // Kept for commands that read the cooldowns from before the store. Holds a collection of user IDs and timestamps for every command
+        this.client.cooldowns = new this.discord.Collection();
+        /**
+         * Helper for reaching the other shards of the bot and getting totals across all of them. See `ShardHelper`
+         */
+        this.shard = new ShardHelper(this);
+        // Lets code run by `broadcastEval()` on other shards reach their bot
+        this.client.bot = this;
+        /**
+         * Per-server settings, such as prefixes and disabled commands. Example:
+         * ```javascript
+         * await bot.settings.set(message.guild.id, "prefixes", ["?"]);
+         * await bot.settings.disableCommand(message.guild.id, "meme", message.channel.id); // Only in this channel
+         * await bot.settings.disableCategory(message.guild.id, "fun"); // In the whole server
+         * ```
+         */
+        this.settings = new GuildSettings(this.store);
+        this.client.settings = this.settings;
+        /**
+         * Loaded translations by locale, from the `locales` folder
+         */
+        this.locales = this.__loadLocales(this.__path("locales"));
+        /**
+         * Internal list of loaded files for each kind of module, used for reloading
+         */
+        this.__loaded = {
+            commands: new Map(),
+            events: new Map(),
+            buttons: new Map(),
+            selects: new Map(),
+            modals: new Map(),
+            slash: new Map(),
+            contexts: new Map(),
+            tasks: new Map()
+        };
+        /**
+         * Internal list of event listeners attached by event files, used for detaching them when reloading
+         */
+        this.__listeners = new Map();
+        /**
+         * Internal list of folder watchers
+         */
+        this.__watchers = [];
+        /**
+         * Internal list of active paginators, by session ID
+         */
+        this.__pages = new Map();
+        /**
+         * Internal list of prompts waiting for a button, select menu or modal, by session ID
+         */
+        this.__prompts = new Map();
+        /**
+         * Scheduled tasks from the `tasks` folder, by name. See `startTask()`, `stopTask()` and `triggerTask()`
+         */
+        this.tasks = new Map();
+        /**
+         * Plugins added with `plugin()`, by name
+         */
+        this.plugins = new Map();
+        /**
+         * Internal map of the commands, interactions, events and tasks of plugins to their plugin
+         */
+        this.__pluginModules = new WeakMap();
+        /**
+         * Internal list of the responses added by plugins, used after `data.responses` and before the default responses
+         */
+        this.__pluginResponses = {};
+        /**
+         * Internal flag for whether the bot is ready and has loaded its folders
+         */
+        this.__started = false;
+        /**
+         * Internal store of the hashes of the deployed slash commands, created when slash commands are first deployed. See `data.slashCache`
+         */
+        this.__slashCacheStore = null;
+        /**
+         * Internal promise of the last slash command deployment. Deployments wait for the one before, so reloads and plugins never deploy at the same time
+         */
+        this.__syncing = Promise.resolve(this);
+        /**
+         * Placeholders that can be used in statuses, like `{{servers}}`, with a value or a function of the bot that gives their value. Add your own here or with `data.statusPlaceholders`
+         */
+        this.statusPlaceholders = Object.assign({
+            name: bot => bot.client.user.username,
+            prefix: bot => !bot.data.prefixes ? "!" : bot.data.prefixes[0],
+            servers: async bot => (await bot.shard.counts()).guilds,
+            channels: async bot => (await bot.shard.counts()).channels,
+            users: async bot => (await bot.shard.counts()).users,
+            shards: bot => bot.shard.count,
+            shard: bot => bot.shard.ids.join(", ")
+        }, data.statusPlaceholders || {});
+        /**
+         * Timer of the next status change, or `null` if the rotation is paused or there are no statuses
+         */
+        this.statusLoop = null;
+        /**
+         * Internal index of the current status, used by the `sequential` status mode
+         */
+        this.__statusIndex = -1;
+        /**
+         * Internal flag for whether the status rotation is paused by `setStatus()` or `pauseStatus()`
+         */
+        this.__statusPaused = false;
+        /**
+         * Internal counter of status changes, used for ignoring async statuses that finish after the rotation was paused or moved on
+         */
+        this.__statusRun = 0;
+
+
+        /**
+         * Built-in command checks, run as middleware before a command is executed. Use `data.checks` to reorder or disable them
+         */
+        this.checks = {
+            /**
+             * Stops commands that are disabled in a server or channel through `settings`
+             */
+            disabled: async (context, next) => {
+                const { guild, channel, command } = context;
+                if (guild && await this.settings.isDisabled(guild.id, channel.id, command)) return context.respond("command_disabled");
+                return next();
+            },
+            /**
+             * Stops blocked users, roles and servers from using commands
+             */
+            blocked: async (context, next) => {
+                const block = await this.isBlocked(context.message || context.interaction, context.command);
+                if (block) return context.respond("command_blocked", { reason: block.reason || "" });
+                return next();
+            },
+            /**
+             * Stops users from using a command again before its cooldown is over. The cooldown only starts if the command is executed
+             */
+            cooldown: async (context, next) => {
+                const { author, command } = context;
+                const key = command.name + ":" + author.id;
+                const now = Date.now();
+                const timestamp = await this.store.get("cooldowns", key);
+                const cooldown_amount = (command.cooldown || 1) * 1000;
+        
+                if (typeof timestamp === "number") {
+                    const expiration_time = timestamp + cooldown_amount;
+                    if (now < expiration_time) {
+                        // Rounded to tenths of a second, e.g. `10.5` or `20`
+                        const time_left = Number(((expiration_time - now) / 1000).toFixed(1));
+
+                        return context.respond("command_cooldown", {
+                            s: s(time_left),
+                            time_left: time_left.toString()
+                        });
+                    }
+                }
+
+                await this.store.set("cooldowns", key, now, cooldown_amount);
+                if (!this.client.cooldowns.has(command.name)) this.client.cooldowns.set(command.name, new this.discord.Collection());
+                const timestamps = this.client.cooldowns.get(command.name);
+                timestamps.set(author.id, now);
+                const timer = setTimeout(() => timestamps.delete(author.id), cooldown_amount);
+                if (timer.unref) timer.unref();
+
+                try { await next(); }
+                finally {
+                    if (!context.executed) {
+                        await this.store.delete("cooldowns", key);
+                        clearTimeout(timer);
+                        timestamps.delete(author.id);
+                    }
+                }
+            },
+            /**
+             * Stops server-only commands from being used in DMs
+             */
+            guild_only: (context, next) => {
+                if (context.command.guildOnly && this.compat.isDM(context.channel)) return context.respond("command_guild_only");
+                return next();
+            },
+            /**
+             * Stops DM-only commands from being used in servers
+             */
+            dms_only: (context, next) => {
+                if (context.command.dmsOnly && !this.compat.isDM(context.channel)) return context.respond("command_dms_only");
+                return next();
+            },
+            /**
+             * Stops owner-only commands from being used by anyone but the bot owners
+             */
+            owners_only: (context, next) => {
+                if (context.command.ownersOnly && !(this.data.owners || []).includes(context.author.id)) {
+                    return context.respond("command_owners_only", { s: s((this.data.owners || []).length) });
+                }
+
+                return next();
+            },
+            /**
+             * Stops users without the `permissions` of a command from using it
+             */
+            permissions: (context, next) => {
+                const { channel, author, command } = context;
+
+                // DM channels have no permissions
+                if (command.permissions && !this.compat.isDM(channel)) {
+                    const author_perms = channel.permissionsFor(author);
+
+                    // Administrators have every permission, so they always pass
+                    if (!author_perms || !author_perms.has(this.compat.permissions(command.permissions))) {
+                        const array = Array.isArray(command.permissions);
+
+                        return context.respond("command_no_permission", {
+                            permissions: (array ? command.permissions.join(", ") : command.permissions).toUpperCase(),
+                            s: array ? s(command.permissions.length) : ""
+                        });
+                    }
+                }
+
+                return next();
+            },
+            /**
+             * Stops commands from being used when the bot doesn't have their `botPermissions`
+             */
+            bot_permissions: (context, next) => {
+                const { channel, command } = context;
+
+                if (command.botPermissions && !this.compat.isDM(channel)) {
+                    const bot_perms = channel.permissionsFor(this.client.user);
+
+                    if (!bot_perms || !bot_perms.has(this.compat.permissions(command.botPermissions))) {
+                        const array = Array.isArray(command.botPermissions);
+
+                        return context.respond("command_no_bot_permission", {
+                            permissions: (array ? command.botPermissions.join(", ") : command.botPermissions).toUpperCase(),
+                            s: array ? s(command.botPermissions.length) : ""
+                        });
+                    }
+                }
+
+                return next();
+            },
+            /**
+             * Parses the arguments of a command, or checks that it has enough arguments if it doesn't have an `arguments` schema
+             */
+            arguments: async (context, next) => {
+                const { message, interaction, command, command_name, prefix, args } = context;
+                const num_args = command.args || 0;
+
+                if (command.arguments) {
+                    try {
+                        if (interaction) context.args = await this.__slashArguments(interaction, command);
+                        else context.args = await this.__parseArguments(message, command, message.content.slice(prefix.length).trim().slice(command_name.length));
+                    }
+                    catch (error) {
+                        if (!(error instanceof ArgumentError)) throw error;
+
+                        return context.respond("command_incorrect_usage", {
+                            usage: interaction ? "/" + command.name : this.__usage(command, prefix, command_name),
+                            error: context.t(error.key, error.data)
+                        });
+                    }
+                } else if (!interaction && num_args > args.length && num_args !== 0) {
+                    const result = command.usage ? " " + command.usage : num_args === 0 ? "" : " <" + num_args + " required argument" + s(num_args) + ">";
+                    
+                    return context.respond("command_incorrect_usage", {
+                        usage: prefix + command_name + result,
+                        error: ""
+                    });
+                }
+
+                return next();
+            }
+        };
+        /**
+         * Middleware run before every command, in order. Starts with the built-in `checks` from `data.checks`. Add more with `use()`
+         */
+        this.middleware = (data.checks || Object.keys(this.checks)).map(name => {
+            if (!this.checks[name]) throw new Error("Unknown check " + name + ". Use one of " + Object.keys(this.checks).join(", "));
+            return this.checks[name];
+        });
+
         this.client.once("ready", () => this.__ready());
         this.client.on("messageCreate", message => this.__message(message));
-        this.client.on("interactionCreate", interaction => this.__interaction(interaction));
+        // Catches what fails outside the handlers of the interaction, such as getting the locale from the store, so the reply uses the default locale
+        this.client.on("interactionCreate", interaction => this.__interaction(interaction).catch(error => this.__handleError(error, {
+            kind: "interaction",
+            name: interaction.commandName || interaction.customId,
+            interaction,
+            locale: this.data.locale || "en",
+            reply: this.compat.interactionType(interaction) !== "autocomplete"
+        })));
 
         return this;
     }
 
     /**
-     * Logs a message to the console. Useful only for this class. Use console.log instead
-     * @param {...String} message Message to log
+     * Creates a bot from a JSON config file, so the token doesn't have to be in the code. Every option can be overridden with an environment variable named `DBF_` and the option in upper snake case, e.g. `DBF_TOKEN`, `DBF_DEV=false` or `DBF_DEV_GUILD_ID`. Lists can be given as JSON or separated by commas, e.g. `DBF_PREFIXES=!,?`. Example:
+     * ```javascript
+     * const bot = DiscordBot.fromConfig("./config.json", { discordApi: require("discord.js"), restApi: require("@discordjs/rest").REST });
+     * ```
+     * `path` defaults to the folder the config file is in
+     * @param {String} path Path to the JSON config file
+     * @param {Object} data Options that can't be in JSON, like `discordApi`, `restApi` and `logger`. Override the file, but not the environment variables
      * @returns {DiscordBot} Discord bot
      */
-    __log(...message) {
-        if (this.data.dev && (typeof this.data.logging === "undefined" ? true : this.data.logging)) console.log("[DBF] => " + message.join(" "));
-        return this;
+    static fromConfig(path, data = {}) {
+        const { dirname, resolve } = require("path");
+        var config;
+
+        try { config = JSON.parse(fs.readFileSync(path, "utf8")); }
+        catch (error) { throw new ConfigError([(error.code === "ENOENT" ? "Config file " + path + " doesn't exist" : "Config file " + path + " isn't valid JSON: " + error.message)]); }
+
+        config = Object.assign({ path: dirname(resolve(path)) }, config, data, configFromEnv(process.env));
+        return new DiscordBot(config);
+    }
+
+    /**
+     * Internal function for getting the log fields of a message or interaction
+     * @param {Message|Interaction} target Message or interaction
+     * @param {Object} fields Other fields
+     * @returns {Object} Fields with the `guild`, `channel` and `user` IDs
+     */
+    __fields(target, fields = {}) {
+        const user = target ? target.author || target.user : null;
+
+        return Object.assign({
+            guild: target && target.guild ? target.guild.id : null,
+            channel: target && target.channel ? target.channel.id : null,
+            user: user ? user.id : null
+        }, fields);
     }
 
     /**
@@ -428,407 +987,4905 @@ class DiscordBot {
      * @returns {DiscordBot} Discord bot
      */
     logout() {
+        this.unwatch();
+        for (const session of this.__pages.values()) clearTimeout(session.timer);
+        this.__pages.clear();
+        for (const pending of this.__prompts.values()) pending.cancel();
+        for (const task of this.tasks.values()) task.stop();
+        this.pauseStatus();
+        if (this.metricsServer) this.metricsServer.close();
+        this.metricsServer = null;
+        if (typeof this.store.close === "function") Promise.resolve(this.store.close()).catch(error => this.logger.error("Failed to close the store", { error }));
         this.client.destroy();
         return this;
     }
 
     /**
-     * Gets the first user mentioned in a message
-     * @param {String} message Message to parse the mentions
-     * @returns {User} Mentioned user
+     * Starts a scheduled task that was stopped or has `enabled: false`
+     * @param {String} name Name of the task
+     * @returns {DiscordBot} Discord bot
      */
-    getUserFromMessage(message) {
-        const matches = message.match(this.discord.MessageMentions.USERS_PATTERN);
-        if (!matches) return;
+    startTask(name) {
+        this.__task(name).start();
+        return this;
+    }
 
-        const id = matches[0].replace(/[^0-9]/g, "");
-        return this.client.users.cache.get(id);
+    /**
+     * Stops a scheduled task until `startTask()` is called. A run that is already going is finished
+     * @param {String} name Name of the task
+     * @returns {DiscordBot} Discord bot
+     */
+    stopTask(name) {
+        this.__task(name).stop();
+        return this;
     }
 
     /**
-     * Callback for when the `ready` event is triggered on the bot
+     * Runs a scheduled task right away, without changing when it runs next. Example:
+     * ```javascript
+     * if (await bot.triggerTask("backup")) message.reply("Backup done");
+     * ```
+     * @param {String} name Name of the task
+     * @returns {Promise<Boolean>} Whether the task ran successfully. `false` if it failed or was already running
      */
-    onready() {}
+    triggerTask(name) {
+        return this.__task(name).run();
+    }
 
     /**
-     * This is the internal `ready` callback for the bot. Do not re-assign. Re-assign `onready()` instead
+     * Internal function for getting a scheduled task by name
+     * @param {String} name Name of the task
+     * @returns {Task} Task
      */
-    __ready() {
-        this.onready();
-        this.__status();
-        this.statusLoop = setInterval(() => this.__status(), this.data.statusInterval || 15000);
-        this.__loadCommands((this.data.path || ".") + "/" + (this.data.commandsPath || "commands"));
-        this.__registerEvents((this.data.path || ".") + "/" + (this.data.eventsPath || "events"));
-        this.__registerButtons((this.data.path || ".") + "/" + (this.data.buttonsPath || "buttons"));
-        this.__registerSelectMenus((this.data.path || ".") + "/" + (this.data.selectMenusPath || "selects"));
-        this.__deployCommands((this.data.path || ".") + "/" + (this.data.slashPath || "slash"), this.data.restApi || null, this.data.version || "9", this.data.dev || false, this.data.devId || "");
-        console.log("\n[DBF] => Bot (" + this.client.user.username + ") has successfully started\n");
+    __task(name) {
+        const task = this.tasks.get(name);
+        if (!task) throw new Error("Unknown task " + name + ". Use one of " + [...this.tasks.keys()].join(", "));
+        return task;
     }
 
     /**
-     * Callback for when the `messageCreate` event is triggered on the bot
-     * @param {Message} message Message class
+     * Adds middleware that is run before every command, after the built-in checks. Example:
+     * ```javascript
+     * bot.use(async (context, next) => {
+     *      if (maintenance && !context.bot.data.owners.includes(context.message.author.id)) return context.respond("maintenance");
+     * 
+     *      const start = Date.now();
+     *      await next(); // Runs the next middleware and eventually the command
+     *      console.log(context.command.name + " took " + (Date.now() - start) + "ms");
+     * });
+     * ```
+     * Middleware gets a `context` with the `bot`, `message`, `command`, `command_name`, `prefix` and `args`, and stops the command by not calling `next()`. Commands can have their own `middleware: [...]`, which run after this
+     * @param {...Function} middleware Middleware functions taking `(context, next)`
+     * @returns {DiscordBot} Discord bot
      */
-    onmessage(message) {}
+    use(...middleware) {
+        for (const fn of middleware) {
+            if (typeof fn !== "function") throw new TypeError("Middleware must be a function");
+            this.middleware.push(fn);
+        }
+
+        return this;
+    }
 
     /**
-     * This is the internal `messageCreate` callback for the bot. Do not re-assign. Re-assign `onmessage()` instead
-     * @param {Message} message Class with data from the message
+     * Adds a plugin, a bundle of commands, slash commands, context menus, events, buttons, select menus, modals, tasks, responses and middleware that can be shared between bots. Example:
+     * ```javascript
+     * bot.plugin(require("./plugins/tickets"), { limit: 2 });
+     *
+     * // plugins/tickets.js
+     * module.exports = {
+     *      name: "tickets",
+     *      defaults: { category: null, limit: 1 },
+     *      commands: [require("./commands/ticket")],
+     *      buttons: [{ id: "ticket:close:{channel}", execute: (interaction, context) => closeTicket(context.params.channel, context.plugin.config) }],
+     *      responses: { ticket_limit: ["You can only have {{limit}} open tickets"] },
+     *      middleware: [],
+     *      onLoad(bot, plugin) {},
+     *      onReady(bot, plugin) {},
+     *      onUnload(bot, plugin) {}
+     * };
+     * ```
+     * The config of a plugin is its `defaults`, then `data.pluginOptions[name]`, then `options`, and is available as `context.plugin.config` in its commands and interactions. `data.responses` can override the responses of a plugin.
+     * Plugins added before the bot is ready are loaded on `ready`, after the folders. A plugin isn't loaded if one with the same name was already added, or if one of its commands, aliases, slash commands, context menus, buttons, select menus, modals, tasks or responses already exists
+     * @param {Object} module Plugin
+     * @param {Object} options Config of the plugin
+     * @returns {DiscordBot} Discord bot
      */
-    __message(message) {
-        this.onmessage(message);
+    plugin(module, options = {}) {
+        const plugin = new Plugin(this, module, options);
+        if (this.plugins.has(plugin.name)) throw new Error("Plugin " + plugin.name + " is already added");
 
-        const client = message.client;
-        var command_name = "";
+        if (this.__started) plugin.load();
+        this.plugins.set(plugin.name, plugin);
 
-        try {
-            if (message.author.bot) return;
-            if (message.webhookID) return;
-    
-            var prefix = false;
-            for (const thisPrefix of this.data.prefixes || ["!"]) if (message.content.startsWith(thisPrefix)) prefix = thisPrefix;
-            if (!prefix) return;
-            
-            const raw_args = message.content.slice(prefix.length).trim().split(/ +/);
-            command_name = raw_args.shift().toLowerCase();
-            const args = raw_args.slice(0);
-    
-            if (command_name === "" || command_name === null) return;
-    
-            if (!client.commands.has(command_name) && !client.aliases.has(command_name)) {
-                return this.responses.command_unknown(message, {
-                    command_name,
-                    prefix
-                });
-            }
-    
-            var owner = false;
-            for (const thisOwner of this.data.owners || []) if (message.author.id === thisOwner) owner = thisOwner;
-            
-            const command = client.commands.get(command_name) || client.aliases.get(command_name);
-            const num_args = command.args || 0;
-            const { cooldowns } = client;
-
-            if (!this.data.blockedUsers) this.data.blockedUsers = [];
-            if (!command.blockedUsers) command.blockedUsers = [];
-            if (!command.unblockedUsers) command.unblockedUsers = [];
+        return this;
+    }
 
-            // TODO this doesn't work... SO MAKE IT WORK
-            if (this.data.blockedUsers.includes(message.author.id) || command.blockedUsers.includes(message.author.id)) {
-                if (!command.unblockedUsers.includes(message.author.id)) {
-                    return this.responses.command_blocked(message, { command_name });
-                }
-            }
-    
-            if (!cooldowns.has(command.name)) cooldowns.set(command.name, new this.discord.Collection());
-    
-            const now = Date.now();
-            const timestamps = cooldowns.get(command.name);
-            const cooldown_amount = (command.cooldown || 1) * 1000;
-    
-            if (timestamps.has(message.author.id)) {
-                const expiration_time = timestamps.get(message.author.id) + cooldown_amount;
-                if (now < expiration_time) {
-                    const time_left = (expiration_time - now) / 1000;
-
-                    return this.responses.command_cooldown(message, {
-                        s: s(parseFloat(time_left.toFixed(1))),
-                        time_left: time_left.toFixed(1).replace("0.", ".").replace(".0", ""),
-                        command_name
-                    })
-                }
-            }
-    
-            if (command.guildOnly && message.channel.type !== "text") return this.responses.command_guild_only(message, { command_name });
-            if (command.dmsOnly && message.channel.type !== "dm") return this.responses.command_dms_only(message, { command_name });
-    
-            if (command.ownersOnly && !owner) {
-                return this.responses.command_owners_only(message, {
-                    s: s(this.data.owners.length),
-                    command_name
-                });
-            }
-    
-            if (command.permissions) {
-                const author_perms = message.channel.permissionsFor(message.author);
+    /**
+     * Removes a plugin and everything it added
+     * @param {String} name Name of the plugin
+     * @returns {DiscordBot} Discord bot
+     */
+    removePlugin(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) throw new Error("Unknown plugin " + name + ". Use one of " + [...this.plugins.keys()].join(", "));
 
-                if (!author_perms || !author_perms.has(command.permissions) || !author_perms.has("ADMINISTRATOR")) {
-                    const array = Array.isArray(command.permissions);
+        plugin.unload();
+        this.plugins.delete(name);
 
-                    return this.responses.command_no_permission(message, {
-                        permissions: (array ? command.permissions.join(", ") : command.permissions).toUpperCase(),
-                        s: array ? s(command.permissions.length) : "",
-                        command_name
-                    });
-                }
-            }
-    
-            if (command.botPermissions) {
-                const bot_perms = message.channel.permissionsFor(message.client.user);
+        return this;
+    }
 
-                if (!bot_perms || !bot_perms.has(command.botPermissions) || !bot_perms.has("ADMINISTRATOR")) {
-                    const array = Array.isArray(command.botPermissions);
+    /**
+     * Internal function for loading the plugins that were added before the bot was ready. Plugins that can't be loaded are removed
+     * @returns {DiscordBot} Discord bot
+     */
+    __loadPlugins() {
+        for (const plugin of this.plugins.values()) {
+            if (plugin.loaded) continue;
 
-                    return this.responses.command_no_bot_permission(message, {
-                        permissions: (array ? command.botPermissions.join(", ") : command.botPermissions).toUpperCase(),
-                        s: array ? s(command.botPermissions.length) : "",
-                        command_name
-                    });
-                }
-            }
-    
-            if (num_args > args.length && num_args !== 0) {
-                const result = command.usage ? " " + command.usage : num_args === 0 ? "" : " <" + num_args + " required argument" + s(num_args) + ">";
-                
-                return this.responses.command_incorrect_usage(message, {
-                    usage: prefix + command_name + result,
-                    command_name
-                });
+            try { plugin.load(); }
+            catch (error) {
+                this.plugins.delete(plugin.name);
+                this.logger.error("Failed to load plugin " + plugin.name, { plugin: plugin.name, error });
             }
-    
-            timestamps.set(message.author.id, now);
-            setTimeout(() => timestamps.delete(message.author.id), cooldown_amount);
-    
-            command.execute(message, args);
-        } catch (error) {
-            console.error(error);
-            return this.responses.command_error(message, {
-                error,
-                command_name
-            });
         }
+
+        return this;
     }
 
     /**
-     * Callback for when the `interactionCreate` event is triggered on the bot
-     * @param {Integration} interaction Interaction class
+     * Internal function for running a middleware chain
+     * @param {Object} context Command context passed to every middleware
+     * @param {Array<Function>} middleware Middleware functions to run in order
+     * @param {Function} last Function to run at the end of the chain
+     * @returns {Promise}
      */
-    oninteraction(interaction) {}
+    async __runMiddleware(context, middleware, last) {
+        var index = -1;
+
+        const dispatch = async i => {
+            if (i <= index) throw new Error("next() called multiple times");
+            index = i;
+
+            if (context.response) return;
+            if (i === middleware.length) return last();
+            return middleware[i](context, () => dispatch(i + 1));
+        };
+
+        return dispatch(0);
+    }
 
     /**
-     * This is the internal `interactionCreate` callback for the bot. Do not re-assign. Re-assign `oninteraction()` instead
-     * @param {Integration} interaction Class with data from the interaction
+     * Sends a response to a message. Uses the response function from `responses` if there is one, and otherwise sends the response text from `data.responses` in an embed. Example:
+     * ```javascript
+     * bot.respond(message, "maintenance", { command_name: "ping" });
+     * ```
+     * @param {Message|Interaction} message Class with data from the message or interaction
+     * @param {String} response Response name, e.g. `command_owners_only`
+     * @param {Object} data Object with data for the responce
+     * @returns {Promise<Message>} The sent message
      */
-    async __interaction(interaction) {
-        this.oninteraction(interaction);
-
-        const responses = this.data.responses;
+    async respond(message, response, data = {}) {
+        if (this.responses[response]) return this.responses[response](message, data);
 
-        if (interaction.isCommand()) {
-            const command = interaction.client.slash.get(interaction.commandName);
-            if (!command) return;
-        
-            try { await command.execute(interaction); }
-            catch (error) {
-                console.error(error);
+        const embed = new this.compat.Embed()
+            .setColor("RED")
+            .setDescription(this.__text(response, Object.assign({ author: this.__author(message).username, command: data.command_name }, data), await this.__locale(message, data)));
 
-                msg = responses.command_error[Math.floor(Math.random() * responses.command_error.length)]
-                    .replace(/{{error}}/g, error);
-                
-                embed = new this.discord.MessageEmbed()
-                    .setColor("RED")
-                    .setTitle("Error")
-                    .setDescription(msg);
-                
-                await interaction.reply({ embeds: [embed], ephemeral: true });
-            }
-        } else if (interaction.isButton()) {
-            const button = interaction.client.buttons.get(interaction.customId);
-            if (!button) return;
-            try { await button.execute(interaction); }
-            catch (error) { console.error(error); }
-        } else if (interaction.isSelectMenu()) {
-            const select = interaction.client.selects.get(interaction.customId);
-            if (!select) return;
-            try { await select.execute(interaction); }
-            catch (error) { console.error(error); }
-        }
+        return this.__send(message, { embeds: [embed] });
     }
 
     /**
-     * Internal function to set status(s) of the bot, selected randomly from `data.responses`
-     * @returns {DiscordBot} Discord bot
+     * Internal function for getting the user of a message or interaction
+     * @param {Message|Interaction} target Message or interaction
+     * @returns {User} The author of the message or the user of the interaction
      */
-    __status() {
-        const status = this.data.statuses[Math.floor(Math.random() * this.data.statuses.length)];
-        this.client.user.setPresence({
-            activities: [
-                {
-                    name: status.name
-                        .replace(/{{name}}/g, this.client.user.username)
-                        .replace(/{{prefix}}/g, !this.data.prefixes ? "!" : this.data.prefixes[0])
-                        .replace(/{{servers}}/g, this.client.guilds.cache.size)
-                        .replace(/{{channels}}/g, this.client.channels.cache.size)
-                        .replace(/{{users}}/g, this.client.users.cache.size) || (!this.data.prefixes ? "!" : this.data.prefixes[0]) + "help",
-                    type: status.type || "PLAYING",
-                    url: status.url || null
-                }
-            ],
-            status: status.status || "online"
-        });
-        return this;
+    __author(target) {
+        return target.author || target.user;
     }
 
     /**
-     * Internal function for loading commands from their files
-     * @param {String} path Path to commands folder. Defaults to `./commands`
-     * @returns {DiscordBot} Discord bot
+     * Internal function for sending a response to a message or interaction. Responses to interactions are only shown to the user. They fill in a deferred reply, and are sent as a follow-up if the interaction was already replied to or is a deferred button, select menu or modal
+     * @param {Message|Interaction} target Message or interaction
+     * @param {Object} options Message options
+     * @returns {Promise<Message>} The sent message
      */
-    __loadCommands(path = "./commands") {
-        var files = [];
-        try { files = fs.readdirSync(path).filter(file => file.endsWith(".js")); }
-        catch { return this; }
+    __send(target, options) {
+        if (!isInteraction(target)) return target.channel.send(options);
+        if (this.__deferredReply(target)) return target.editReply(options);
+        if (target.replied || target.deferred) return target.followUp(Object.assign({ ephemeral: true }, options));
+        return target.reply(Object.assign({ ephemeral: true, fetchReply: true }, options));
+    }
 
-        this.client.commands = new this.discord.Collection();
-        this.client.aliases = new this.discord.Collection();
-        this.client.cooldowns = new this.discord.Collection();
+    /**
+     * Internal function for checking whether an interaction has a deferred reply that `editReply()` fills in. Buttons, select menus and modals are left out, because after `deferUpdate()` their `editReply()` edits the message they are on
+     * @param {Interaction} interaction Interaction
+     * @returns {Boolean} Whether the deferred reply can be edited
+     */
+    __deferredReply(interaction) {
+        return interaction.deferred && !interaction.replied && !["button", "select", "modal"].includes(this.compat.interactionType(interaction));
+    }
 
-        if (files.length < 1) return this;
+    /**
+     * Blocks a user, role or server from using the bot. Blocks are saved in the `store`, so they are kept across restarts when using a `JSONStore`. Example:
+     * ```javascript
+     * await bot.block("123456789012345678", { reason: "Spamming", duration: "1d" });
+     * await bot.block(message.guild.id, { type: "guild" });
+     * ```
+     * @param {String} id Id of the user, role or server
+     * @param {Object} options `type` is `user`, `role` or `guild` (defaults to `user`), `reason` is shown to the blocked user as `{{reason}}`, and `duration` is the time in milliseconds or a duration like `1h30m` after which the block expires
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    async block(id, options = {}) {
+        const type = options.type || "user";
+        if (!BLOCK_TYPES.includes(type)) throw new Error("Unknown block type " + type + ". Use one of " + BLOCK_TYPES.join(", "));
 
-        this.__log("Registering commands");
+        const duration = typeof options.duration === "string" ? parseDuration(options.duration) : options.duration || null;
+        if (options.duration && !duration) throw new Error("Invalid block duration " + options.duration);
 
-        for (const file of files) {
-            const command = require(path + "/" + file);
-            this.__log("Registering command " + command.name);
-            this.client.commands.set(command.name, command);
-            if (!!command.aliases) command.aliases.map(alias => this.client.aliases.set(alias, command));
-            this.__log("Successfully registered command " + command.name);
-        }
+        await this.store.set("blocked_" + type + "s", String(id), {
+            reason: options.reason || null,
+            created: Date.now(),
+            expires: duration ? Date.now() + duration : null
+        }, duration || undefined);
 
-        this.__log("All commands have been registered");
+        this.logger.info("Blocked " + type + " " + id + (duration ? " for " + duration + "ms" : "") + (options.reason ? " (" + options.reason + ")" : ""));
 
         return this;
     }
 
     /**
-     * Internal function for loading events from their files
-     * @param {String} path Path to events folder. Defaults to `./events`
-     * @returns {DiscordBot} Discord bot
+     * Unblocks a user, role or server blocked with `block()`. Blocks from `data.blockedUsers`, `data.blockedRoles` and `data.blockedGuilds` can't be removed at runtime
+     * @param {String} id Id of the user, role or server
+     * @param {String} type `user`, `role` or `guild`. Defaults to `user`
+     * @returns {Promise<Boolean>} Whether it was blocked
      */
-    __registerEvents(path = "./events") {
-        var files = [];
-        try { files = fs.readdirSync(path).filter(file => file.endsWith(".js")); }
-        catch { return this; }
+    async unblock(id, type = "user") {
+        if (!BLOCK_TYPES.includes(type)) throw new Error("Unknown block type " + type + ". Use one of " + BLOCK_TYPES.join(", "));
 
-        if (files.length < 1) return this;
-    
-        this.__log("Registering events");
-    
-        for (const file of files) {
-            const event = require(path + "/" + file);
-            this.__log("Registering event " + event.name);
-            if (event.once) this.client.once(event.name, (...args) => event.execute(...args));
-            else this.client.on(event.name, (...args) => event.execute(...args));
-            this.__log("Successfully registered event " + event.name);
+        const unblocked = await this.store.delete("blocked_" + type + "s", String(id));
+        if (unblocked) this.logger.info("Unblocked " + type + " " + id);
+
+        return unblocked;
+    }
+
+    /**
+     * Gets all users, roles or servers blocked with `block()`
+     * @param {String} type `user`, `role` or `guild`. Defaults to `user`
+     * @returns {Promise<Array<Object>>} Blocks with their `id`, `reason`, `created` and `expires` time
+     */
+    async getBlocked(type = "user") {
+        if (!BLOCK_TYPES.includes(type)) throw new Error("Unknown block type " + type + ". Use one of " + BLOCK_TYPES.join(", "));
+
+        const blocks = [];
+
+        for (const id of await this.store.keys("blocked_" + type + "s")) {
+            const block = await this.store.get("blocked_" + type + "s", id);
+            if (block) blocks.push(Object.assign({ id }, block));
         }
-    
-        this.__log("All events have been registered");
 
-        return this;
+        return blocks;
     }
 
     /**
-     * Internal function for loading buttons from their files
-     * @param {String} path Path to buttons folder. Defaults to `./buttons`
-     * @returns {DiscordBot} Discord bot
+     * Checks whether the author of a message or the user of an interaction is blocked, by user, by role or by server. Bot owners and the command's `unblockedUsers` are never blocked
+     * @param {Message|Interaction} target Message or interaction to check
+     * @param {Object} command Command, slash command, button or select menu, for its own `blockedUsers`, `blockedRoles` and `unblockedUsers`
+     * @returns {Promise<Object|null>} The block with its `type`, `id` and `reason`, or `null` if not blocked
      */
-     __registerButtons(path = "./buttons") {
-        var files = [];
-        try { files = fs.readdirSync(path).filter(file => file.endsWith(".js")); }
-        catch { return this; }
+    async isBlocked(target, command = {}) {
+        const user = target.author || target.user;
+        if (!user) return null;
 
-        this.client.buttons = new this.discord.Collection();
+        const user_id = String(user.id);
+        if ((this.data.owners || []).map(String).includes(user_id)) return null;
+        if ((command.unblockedUsers || []).map(String).includes(user_id)) return null;
 
-        if (files.length < 1) return this;
-    
-        this.__log("Registering buttons");
-    
-        for (const file of files) {
-            const button = require(path + "/" + file);
-            this.__log("Registering button " + button.id);
-            this.client.buttons.set(button.id, button);
-            this.__log("Successfully registered button " + button.id);
+        const member = target.member;
+        const roles = !member || !member.roles ? [] : member.roles.cache ? [...member.roles.cache.keys()] : member.roles;
+        const ids = {
+            user: [user_id],
+            role: roles.map(String),
+            guild: target.guild ? [String(target.guild.id)] : target.guildId ? [String(target.guildId)] : []
+        };
+        const lists = {
+            user: [...(this.data.blockedUsers || []), ...(command.blockedUsers || [])],
+            role: [...(this.data.blockedRoles || []), ...(command.blockedRoles || [])],
+            guild: this.data.blockedGuilds || []
+        };
+
+        for (const type of BLOCK_TYPES) {
+            for (const id of ids[type]) {
+                if (lists[type].map(String).includes(id)) return { type, id, reason: null };
+
+                const block = await this.store.get("blocked_" + type + "s", id);
+                if (block) return Object.assign({ type, id }, block);
+            }
         }
-    
-        this.__log("All buttons have been registered");
 
-        return this;
+        return null;
     }
 
     /**
-     * Internal function for loading select menus from their files
-     * @param {String} path Path to select menus folder. Defaults to `./selects`
-     * @returns {DiscordBot} Discord bot
+     * Gets the first user mentioned in a message
+     * @param {String} message Message to parse the mentions
+     * @returns {User} Mentioned user
      */
-     __registerSelectMenus(path = "./selects") {
-        var files = [];
-        try { files = fs.readdirSync(path).filter(file => file.endsWith(".js")); }
-        catch { return this; }
+    getUserFromMessage(message) {
+        const matches = message.match(this.compat.mentionPattern);
+        if (!matches) return;
 
-        this.client.selects = new this.discord.Collection();
+        const id = matches[0].replace(/[^0-9]/g, "");
+        return this.client.users.cache.get(id);
+    }
 
-        if (files.length < 1) return this;
+    /**
+     * Callback for when the `ready` event is triggered on the bot
+     */
+    onready() {}
+
+    /**
+     * This is the internal `ready` callback for the bot. Do not re-assign. Re-assign `onready()` instead
+     */
+    __ready() {
+        this.__started = true;
+        this.onready();
+        this.__status();
+        this.__loadCommands(this.__path("commands"));
+        this.__registerHelp();
+        this.__registerEvents(this.__path("events"));
+        this.__registerButtons(this.__path("buttons"));
+        this.__registerSelectMenus(this.__path("selects"));
+        this.__registerModals(this.__path("modals"));
+        this.__registerPaginator();
+        this.__registerPrompts();
+        this.__registerContextMenus(this.__path("contexts"));
+        this.__registerTasks(this.__path("tasks"));
+        this.__registerSlashCommands(this.__path("slash"));
+        this.__loadPlugins();
+        this.__deployCommands(this.data.restApi || null, this.data.version || "9", this.data.dev || false, this.data.devGuildId || this.data.devId || "");
+        if (this.data.dev && this.data.watch) this.watch();
+        if (this.data.metrics) this.serveMetrics(typeof this.data.metrics === "object" ? this.data.metrics : {});
+        this.logger.info("Bot (" + this.client.user.username + ") has successfully started", { guilds: this.client.guilds.cache.size });
+    }
+
+    /**
+     * Callback for when the `messageCreate` event is triggered on the bot
+     * @param {Message} message Message class
+     */
+    onmessage(message) {}
+
+    /**
+     * This is the internal `messageCreate` callback for the bot. Do not re-assign. Re-assign `onmessage()` instead
+     * @param {Message} message Class with data from the message
+     */
+    async __message(message) {
+        this.onmessage(message);
+
+        const client = message.client;
+        var command_name = "";
+        var prefix = false;
+
+        try {
+            if (message.author.bot) return;
+            if (message.webhookID) return;
     
-        this.__log("Registering select menus");
+            prefix = await this.__prefix(message);
+            if (!prefix) return;
+            
+            const raw_args = message.content.slice(prefix.length).trim().split(/ +/);
+            command_name = raw_args.shift().toLowerCase();
+            const args = raw_args.slice(0);
     
-        for (const file of files) {
-            const select = require(path + "/" + file);
-            this.__log("Registering select menu " + select.id);
-            this.client.selects.set(select.id, select);
-            this.__log("Successfully registered select menu " + select.id);
-        }
+            if (command_name === "" || command_name === null) return;
+    
+            if (!client.commands.has(command_name) && !client.aliases.has(command_name)) {
+                this.metrics.increment("dbf_unknown_commands_total");
+                return this.responses.command_unknown(message, {
+                    command_name,
+                    prefix
+                });
+            }
     
-        this.__log("All select menus have been registered");
+            const command = client.commands.get(command_name) || client.aliases.get(command_name);
+            const context = this.__context(message, command, {
+                command_name,
+                prefix,
+                args,
+                raw_args: args,
+                locale: await this.getLocale(message)
+            });
 
-        return this;
+            await this.__runCommand(context);
+        } catch (error) {
+            return this.__handleError(error, { kind: "command", name: command_name, message, prefix: prefix || undefined });
+        }
     }
 
     /**
-     * Internal function for loading slash commands from their files
-     * @param {String} path Path to slash commands folder. Defaults to `./slash`
-     * @param {Function} rest Rest API
-     * @param {String} version Rest API version to use. Defaults to `9` (current)
-     * @param {Boolean} dev Discord bot development. Defaults to `true`
-     * @param {String} devId Discord bot guild id
-     * @returns {DiscordBot} Discord bot
+     * Internal function for creating the context of a command, which is passed to middleware and hybrid commands. Hybrid commands get the same context whether they are used with a prefix or as a slash command
+     * @param {Message|Interaction} target Message or interaction that used the command
+     * @param {Object} command Command that was used
+     * @param {Object} data Extra data for the context, such as the `command_name`, `prefix`, `args` and `locale`
+     * @returns {Object} Command context
      */
-    __deployCommands(path = "./slash", rest = null, version = "9", dev = true, devId = "") {
-        try {
-            if (!(this.data.slash || false)) return;
-            
-            const id = this.client.user.id;
-            var files = [];
-            try { files = fs.readdirSync(path).filter(file => file.endsWith(".js")); }
-            catch { return this; }
-            const commands = [];
-        
-            this.client.slash = new this.discord.Collection();
-        
-            for (const file of files) {
-                const command = require(path + "/" + file);
-                commands.push(command.data.toJSON());
-                this.client.slash.set(command.data.name, command);
+    __context(target, command, data = {}) {
+        const interaction = isInteraction(target) ? target : null;
+        const context = Object.assign({
+            bot: this,
+            message: interaction ? null : target,
+            interaction,
+            command,
+            command_name: command.name,
+            plugin: this.__pluginModules.get(command) || null,
+            prefix: interaction ? "/" : "",
+            args: [],
+            raw_args: [],
+            options: {},
+            author: this.__author(target),
+            member: target.member || null,
+            guild: target.guild || null,
+            channel: target.channel || null,
+            locale: this.data.locale || "en",
+            executed: false,
+            replied: false,
+            response: null,
+            /**
+             * Gets a response text in the locale of the command
+             * @param {String} key Response name
+             * @param {Object} data Object with the values for the placeholders
+             * @returns {String} Response text
+             */
+            t: (key, data = {}) => this.__text(key, data, context.locale),
+            /**
+             * Stops the command and sends a response instead
+             * @param {String} response Response name, e.g. `command_owners_only`
+             * @param {Object} data Object with data for the responce
+             */
+            respond: (response, data = {}) => context.response = { name: response, data: Object.assign({ command_name: context.command_name, prefix: interaction ? undefined : context.prefix, locale: context.locale }, data) },
+            /**
+             * Replies to the message or interaction. The first reply to a deferred interaction edits the deferred reply, and later replies are sent as follow-ups
+             * @param {String|Object} options Message content or options
+             * @returns {Promise<Message>} The sent message
+             */
+            reply: async options => {
+                const interaction = context.interaction;
+                if (typeof options === "string") options = { content: options };
+
+                if (!interaction) {
+                    const message_options = Object.assign({}, options);
+                    delete message_options.ephemeral;
+                    context.replied = true;
+                    return target.reply(message_options);
+                }
+
+                const replied = context.replied || interaction.replied;
+                context.replied = true;
+
+                if (interaction.deferred && !replied) return interaction.editReply(options);
+                if (replied) return interaction.followUp(options);
+                return interaction.reply(Object.assign({ fetchReply: true }, options));
+            },
+            /**
+             * Lets the user know the command is working on a response. Shows "thinking" for interactions and typing for messages
+             * @param {Object} options Options for deferring an interaction, e.g. `{ ephemeral: true }`
+             * @returns {Promise}
+             */
+            defer: async (options = {}) => {
+                const interaction = context.interaction;
+                if (!interaction) return target.channel.sendTyping();
+                if (!interaction.deferred && !interaction.replied) return interaction.deferReply(options);
             }
-        
-            const _rest = new rest({ version: version }).setToken(this.token || "");
-        
-            (async () => {
-                try {
-                    if (!dev) {
-                        await _rest.put("/applications/" + id + "/commands", { body: commands });
-                        this.__log("Successfully registered application commands globally");
-                    } else {
-                        await _rest.put("/applications/" + id + "/guilds/" + devId + "/commands", { body: commands });
-                        this.__log("Successfully registered application commands for development guild");
-                    }
-                } catch (error) { console.error(error); }
-            })();
-        } catch (error) { console.error(error); }
+        }, data);
 
-        return this;
+        /**
+         * Asks the user for more input, see `Prompt`
+         */
+        context.prompt = new Prompt(this, context);
+
+        return context;
     }
-}
 
-function s(int) { return int == 1 ? "" : "s"; }
+    /**
+     * Internal function for running the middleware of a command and then the command itself, and sending the response if a middleware stopped it
+     * @param {Object} context Command context
+     * @returns {Promise}
+     */
+    async __runCommand(context) {
+        const { command } = context;
+        const target = context.interaction || context.message;
+        const labels = { type: context.interaction ? "slash" : "prefix", command: command.name };
+        const start = Date.now();
+
+        try {
+            await this.__runMiddleware(context, [...this.middleware, ...(command.middleware || [])], async () => {
+                context.executed = true;
+                context.options = context.args;
+
+                if (command.hybrid) await command.execute(context);
+                else await command.execute(context.message, context.args, context.raw_args, context);
+            });
+        } catch (error) {
+            this.__track("command", labels, "error", context.executed ? start : null);
+            throw error;
+        }
+
+        // Commands stopped by a check are counted by the response they got, e.g. `cooldown` or `no_permission`
+        this.__track("command", labels, context.response ? stoppedStatus(context.response.name) : "success", context.executed ? start : null);
+
+        if (context.executed) this.logger.debug("Ran command " + command.name, this.__fields(target, { command: command.name, duration: Date.now() - start }));
+
+        if (context.response) return this.respond(target, context.response.name, context.response.data);
+    }
+
+    /**
+     * Gets the prefixes that can be used for a message: the server's own prefixes from `settings` or `data.prefixes`, and mentioning the bot if `data.mentionPrefix` is enabled. Re-assign this to resolve prefixes yourself
+     * @param {Message} message Class with data from the message
+     * @returns {Promise<Array<String>>} Prefixes
+     */
+    async getPrefixes(message) {
+        const settings = message.guild ? await this.settings.get(message.guild.id) : null;
+        const prefixes = [...(settings && settings.prefixes ? settings.prefixes : this.data.prefixes || ["!"])];
+
+        if (this.data.mentionPrefix) prefixes.push("<@" + this.client.user.id + ">", "<@!" + this.client.user.id + ">");
+
+        return prefixes;
+    }
+
+    /**
+     * Internal function for getting the prefix a message starts with. The longest matching prefix is used, so `!!` wins over `!`
+     * @param {Message} message Class with data from the message
+     * @returns {Promise<String|Boolean>} The prefix, or `false` if the message doesn't start with one
+     */
+    async __prefix(message) {
+        var prefix = false;
+        for (const thisPrefix of await this.getPrefixes(message)) if (message.content.startsWith(thisPrefix) && thisPrefix.length > (prefix || "").length) prefix = thisPrefix;
+        return prefix;
+    }
+
+    /**
+     * Internal function for loading the translations from the locales folder
+     * @param {String} path Path to locales folder. Defaults to `./locales`
+     * @returns {Object} Translations by lowercase locale
+     */
+    __loadLocales(path = "./locales") {
+        const locales = {};
+
+        var files = [];
+        try { files = fs.readdirSync(path).filter(file => file.endsWith(".json")); }
+        catch { return locales; }
+
+        for (const file of files) {
+            try { locales[file.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path + "/" + file, "utf8")); }
+            catch (error) { this.logger.error("Failed to load locale " + file, { error }); }
+        }
+
+        if (files.length > 0) this.logger.debug("Loaded locales " + Object.keys(locales).join(", "));
+
+        return locales;
+    }
+
+    /**
+     * Gets the locale to respond in. Uses the user's own locale set with `setUserLocale()`, then the server's `locale` setting, then the locale of the interaction and finally `data.locale`
+     * @param {Message|Interaction} target Message or interaction to get the locale of
+     * @returns {Promise<String>} Locale, e.g. `en-US`
+     */
+    async getLocale(target) {
+        const user = target.author || target.user;
+        const user_locale = user ? await this.store.get("user_locales", user.id) : null;
+        if (user_locale) return user_locale;
+
+        if (target.guild) {
+            const settings = await this.settings.get(target.guild.id);
+            if (settings.locale) return settings.locale;
+        }
+
+        return target.locale || this.data.locale || "en";
+    }
+
+    /**
+     * Sets the locale a user gets responses in, no matter what server they are in
+     * @param {String} user_id User id
+     * @param {String} locale Locale, e.g. `de`. Removes the user's locale if not given
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    async setUserLocale(user_id, locale) {
+        if (locale) await this.store.set("user_locales", user_id, locale);
+        else await this.store.delete("user_locales", user_id);
+        return this;
+    }
+
+    /**
+     * Internal function for getting the locale for a response. Uses `data.locale` if the response data already has it
+     * @param {Message|Interaction} target Message or interaction
+     * @param {Object} data Object with data for the responce
+     * @returns {Promise<String>} Locale
+     */
+    async __locale(target, data = {}) {
+        return data.locale || this.getLocale(target);
+    }
+
+    /**
+     * Gets a response text in a locale. Looks in the translations of the locale, then of its language (`de` for `de-AT`), then of `data.locale`, then in `data.responses` and finally in the default responses. Example:
+     * ```javascript
+     * bot.translate("de", "command_cooldown", { cooldown: 5 });
+     * ```
+     * @param {String} locale Locale, e.g. `de`
+     * @param {String} key Response name
+     * @param {Object} data Object with the values for the placeholders
+     * @returns {String} Response text
+     */
+    translate(locale, key, data = {}) {
+        return this.__text(key, data, locale);
+    }
+
+    /**
+     * Internal function for getting a random response text with its placeholders filled in
+     * @param {String} key Response name, e.g. `help_description`
+     * @param {Object} data Object with the values for the placeholders, e.g. `{ prefix: "!" }` for `{{prefix}}`
+     * @param {String} locale Locale to get the text in. Defaults to `data.locale`
+     * @returns {String} Response text
+     */
+    __text(key, data = {}, locale) {
+        const chain = [];
+
+        for (const name of [locale, this.data.locale || "en"]) {
+            if (!name) continue;
+            chain.push(name.toLowerCase(), name.toLowerCase().split("-")[0]);
+        }
+
+        var texts = null;
+        for (const name of chain) {
+            if (this.locales[name] && typeof this.locales[name][key] !== "undefined") {
+                texts = [].concat(this.locales[name][key]);
+                break;
+            }
+        }
+
+        texts = texts || (this.data.responses || {})[key] || this.__pluginResponses[key] || DEFAULT_RESPONSES[key] || [key];
+        var text = texts[Math.floor(Math.random() * texts.length)];
+
+        data = Object.assign({ prefix: (this.data.prefixes || ["!"])[0] }, data);
+        if (typeof data.prefix === "undefined") data.prefix = (this.data.prefixes || ["!"])[0];
+        // Mention prefixes need a space before the command
+        if (/^<@!?\d+>$/.test(data.prefix)) data.prefix += " ";
+
+        text = text.replace(/{{(\w+)((?:\|\w+:[^|}]*)+)}}/g, (match, name, forms) => {
+            if (typeof data[name] === "undefined") return match;
+            return plural(locale || this.data.locale || "en", data[name], forms);
+        });
+
+        for (const name of Object.keys(data)) if (typeof data[name] !== "undefined") text = text.replace(new RegExp("{{" + name + "}}", "g"), () => data[name]);
+        return text;
+    }
+
+    /**
+     * Checks whether the author of a message is allowed to run a command. Used by the help command to hide commands
+     * @param {Message} message Class with data from the message
+     * @param {Object} command Command to check
+     * @returns {Promise<Boolean>} Whether the command can be run
+     */
+    async canRun(message, command) {
+        if (message.guild && await this.settings.isDisabled(message.guild.id, message.channel.id, command)) return false;
+        if (command.ownersOnly && !(this.data.owners || []).includes(message.author.id)) return false;
+        if (command.guildOnly && this.compat.isDM(message.channel)) return false;
+        if (command.dmsOnly && !this.compat.isDM(message.channel)) return false;
+
+        if (command.permissions && message.guild) {
+            const author_perms = message.channel.permissionsFor(message.author);
+            if (!author_perms || !author_perms.has(this.compat.permissions(command.permissions))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Internal function for registering the built-in help command when `data.help` is enabled
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerHelp() {
+        if (!this.data.help) return this;
+
+        const options = typeof this.data.help === "object" ? this.data.help : {};
+        const name = options.name || "help";
+
+        this.__ensureCollections("commands");
+        if (this.client.commands.has(name)) return this;
+
+        const command = {
+            name,
+            aliases: (options.aliases || []).filter(alias => !this.client.aliases.has(alias)),
+            description: "Shows a list of commands or information about a command",
+            cooldown: options.cooldown || 1,
+            arguments: [
+                { name: "command", type: "string", optional: true }
+            ],
+            execute: (message, args) => this.__help(message, args.command)
+        };
+
+        this.client.commands.set(command.name, command);
+        command.aliases.map(alias => this.client.aliases.set(alias, command));
+        this.logger.debug("Registered built-in help command " + command.name);
+
+        return this;
+    }
+
+    /**
+     * Internal function for the built-in help command. Sends an overview of all commands the author can run, or the details of one command
+     * @param {Message} message Class with data from the message
+     * @param {String} command_name Name or alias of the command to show the details of
+     * @returns {Promise<Message>} The sent message
+     */
+    async __help(message, command_name) {
+        const options = typeof this.data.help === "object" ? this.data.help : {};
+        const locale = await this.getLocale(message);
+        const t = (key, data) => this.__text(key, data, locale);
+        var prefix = await this.__prefix(message) || (this.data.prefixes || ["!"])[0];
+        if (/^<@!?\d+>$/.test(prefix)) prefix += " ";
+        const color = options.color || "BLUE";
+
+        if (command_name) {
+            command_name = command_name.toLowerCase();
+            if (command_name.startsWith(prefix.toLowerCase())) command_name = command_name.slice(prefix.length);
+            const command = this.client.commands.get(command_name) || this.client.aliases.get(command_name);
+
+            if (!command || command.hidden || !await this.canRun(message, command)) {
+                return this.responses.command_unknown(message, {
+                    command_name,
+                    prefix
+                });
+            }
+
+            const permissions = [].concat(command.permissions || []);
+            const restrictions = [];
+            if (command.guildOnly) restrictions.push(t("help_guild_only"));
+            if (command.dmsOnly) restrictions.push(t("help_dms_only"));
+            if (command.ownersOnly) restrictions.push(t("help_owners_only"));
+
+            const embed = new this.compat.Embed()
+                .setColor(color)
+                .setTitle(prefix + command.name)
+                .setDescription(command.description || t("help_no_description"))
+                .addField(t("help_usage"), "`" + (command.arguments ? this.__usage(command, prefix) : prefix + command.name + (command.usage ? " " + command.usage : "")) + "`");
+
+            if (command.aliases && command.aliases.length > 0) embed.addField(t("help_aliases"), command.aliases.map(alias => "`" + alias + "`").join(", "), true);
+            if (command.category) embed.addField(t("help_category"), command.category, true);
+            embed.addField(t("help_cooldown"), t("help_cooldown_value", { cooldown: command.cooldown || 1 }), true);
+            if (permissions.length > 0) embed.addField(t("help_permissions"), permissions.map(permission => "`" + permission.toUpperCase() + "`").join(", "), true);
+            if (restrictions.length > 0) embed.addField(t("help_restrictions"), restrictions.join(", "), true);
+
+            return message.channel.send({ embeds: [embed] });
+        }
+
+        const categories = new Map();
+
+        for (const command of this.client.commands.values()) {
+            if (command.hidden || !await this.canRun(message, command)) continue;
+
+            const category = command.category || "other";
+            if (!categories.has(category)) categories.set(category, []);
+            categories.get(category).push("`" + command.name + "`");
+        }
+
+        const names = [...categories.keys()].sort((a, b) => a === "other" ? 1 : b === "other" ? -1 : a.localeCompare(b));
+        const per_page = options.perPage || 5;
+        const pages = [];
+
+        for (var i = 0; i < names.length || pages.length < 1; i += per_page) {
+            const embed = new this.compat.Embed()
+                .setColor(color)
+                .setTitle(t("help_title"))
+                .setDescription(t("help_description", { prefix, command: options.name || "help" }));
+
+            for (const category of names.slice(i, i + per_page)) embed.addField(category === "other" ? t("help_other") : category.charAt(0).toUpperCase() + category.slice(1), categories.get(category).sort().join(", "));
+            pages.push(embed);
+        }
+
+        if (pages.length > 1) pages.forEach((embed, index) => embed.setFooter({ text: t("help_page", { page: index + 1, pages: pages.length }) }));
+
+        return this.paginate(message, pages, { timeout: options.timeout, locale });
+    }
+
+    /**
+     * Sends pages with first, previous, next and last buttons, and a jump to page select menu. Only the user who invoked the command can change pages, and the buttons are disabled after the timeout
+     * @param {Message|Interaction} target Message or interaction to reply to
+     * @param {Array} pages List of embeds, strings or message options, one per page
+     * @param {Object} options Options for the paginator: `user` (ID of the user who can change pages, defaults to the invoker), `page` (index of the first page shown), `timeout` (milliseconds without use before disabling the buttons, defaults to 60000), `select` (whether to show the jump to page select menu, defaults to more than 3 pages), `footer` (whether to add page numbers to embeds without a footer, defaults to true), `ephemeral` and `locale`
+     * @returns {Promise<Message>} Sent message
+     */
+    async paginate(target, pages, options = {}) {
+        if (!Array.isArray(pages) || pages.length < 1) throw new Error("Can't paginate without any pages");
+
+        const locale = options.locale || await this.getLocale(target);
+        const session = {
+            id: crypto.randomBytes(6).toString("hex"),
+            pages: pages.map(page => this.__page(page)),
+            page: Math.max(0, Math.min(pages.length - 1, options.page || 0)),
+            user: options.user || this.__author(target).id,
+            select: options.select === undefined ? pages.length > 3 : options.select,
+            timeout: options.timeout || 60000,
+            locale
+        };
+
+        if (pages.length > 1 && options.footer !== false) {
+            // Copies get the footer, so the embeds given to `paginate()` don't change
+            session.pages.forEach((page, index) => page.embeds = (page.embeds || []).map(embed => {
+                const copy = this.compat.cloneEmbed(embed);
+                if (!(copy.data || copy).footer) copy.setFooter({ text: this.__text("paginator_page", { page: index + 1, pages: pages.length }, locale) });
+                return copy;
+            }));
+        }
+
+        const data = Object.assign({}, session.pages[session.page], { components: pages.length > 1 ? this.__pageComponents(session) : [] });
+        var sent;
+
+        if (!isInteraction(target)) {
+            sent = await target.channel.send(data);
+            session.edit = data => sent.edit(data);
+        } else if (this.__deferredReply(target)) {
+            sent = await target.editReply(data);
+            session.edit = data => target.editReply(data);
+        } else if (target.replied || target.deferred) {
+            sent = await target.followUp(Object.assign(data, { ephemeral: options.ephemeral || false }));
+            session.edit = data => target.webhook.editMessage(sent, data);
+        } else {
+            sent = await target.reply(Object.assign(data, { ephemeral: options.ephemeral || false, fetchReply: true }));
+            session.edit = data => target.editReply(data);
+        }
+
+        if (pages.length < 2) return sent;
+
+        this.__pages.set(session.id, session);
+        session.timer = setTimeout(() => this.__endPages(session), session.timeout);
+        if (session.timer.unref) session.timer.unref();
+
+        return sent;
+    }
+
+    /**
+     * Internal function for turning a page into message options
+     * @param {MessageEmbed|EmbedBuilder|String|Object} page Embed, text or message options
+     * @returns {Object} Message options
+     */
+    __page(page) {
+        if (typeof page === "string") return { content: page, embeds: [] };
+        if (this.compat.isEmbed(page)) return { content: null, embeds: [page] };
+        return Object.assign({ content: null, embeds: [] }, page);
+    }
+
+    /**
+     * Internal function for building the buttons and select menu of a paginator
+     * @param {Object} session Paginator session
+     * @param {Boolean} disabled Whether all components should be disabled
+     * @returns {Array} Action rows
+     */
+    __pageComponents(session, disabled = false) {
+        const last = session.pages.length - 1;
+        const button = (action, label, off) => new this.compat.Button()
+            .setCustomId(this.customId(PAGINATOR_ID, { session: session.id, action }))
+            .setLabel(label)
+            .setStyle("SECONDARY")
+            .setDisabled(disabled || off);
+
+        const rows = [
+            new this.compat.ActionRow().addComponents(
+                button("first", "⏮", session.page === 0),
+                button("previous", "◀", session.page === 0),
+                button("next", "▶", session.page === last),
+                button("last", "⏭", session.page === last)
+            )
+        ];
+
+        if (session.select) {
+            // Select menus can only have 25 options, so only the pages around the current one are listed
+            const start = Math.max(0, Math.min(session.page - 12, session.pages.length - 25));
+            const options = session.pages.slice(start, start + 25).map((page, index) => ({
+                label: this.__text("paginator_page", { page: start + index + 1, pages: session.pages.length }, session.locale),
+                value: String(start + index),
+                default: start + index === session.page
+            }));
+
+            rows.push(new this.compat.ActionRow().addComponents(
+                new this.compat.SelectMenu()
+                    .setCustomId(this.customId(PAGINATOR_ID, { session: session.id, action: "jump" }))
+                    .setPlaceholder(this.__text("paginator_jump", {}, session.locale))
+                    .setDisabled(disabled)
+                    .addOptions(options)
+            ));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Internal function for registering the button and select menu used by `paginate()`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerPaginator() {
+        this.__ensureCollections("buttons").__ensureCollections("selects");
+
+        const module = { id: PAGINATOR_ID, execute: (interaction, context) => this.__turnPage(interaction, context) };
+        this.client.buttons.set(PAGINATOR_ID, module);
+        this.client.selects.set(PAGINATOR_ID, module);
+
+        return this;
+    }
+
+    /**
+     * Internal function for changing the page of a paginator when one of its buttons or its select menu is used
+     * @param {Interaction} interaction Class with data from the interaction
+     * @param {Object} context Context with the parsed `params`
+     * @returns {Promise}
+     */
+    async __turnPage(interaction, context) {
+        const session = this.__pages.get(context.params.session);
+        if (!session) return interaction.update({ components: [] });
+        if (interaction.user.id !== session.user) return interaction.reply({ content: context.t("paginator_not_yours"), ephemeral: true });
+
+        const last = session.pages.length - 1;
+
+        switch (context.params.action) {
+            case "first":
+                session.page = 0;
+                break;
+            case "previous":
+                session.page = Math.max(0, session.page - 1);
+                break;
+            case "next":
+                session.page = Math.min(last, session.page + 1);
+                break;
+            case "last":
+                session.page = last;
+                break;
+            case "jump":
+                session.page = Math.max(0, Math.min(last, parseInt(interaction.values[0]) || 0));
+                break;
+        }
+
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => this.__endPages(session), session.timeout);
+        if (session.timer.unref) session.timer.unref();
+
+        return interaction.update(Object.assign({}, session.pages[session.page], { components: this.__pageComponents(session) }));
+    }
+
+    /**
+     * Internal function for registering the button, select menu and modal used by `Prompt`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerPrompts() {
+        this.__ensureCollections("buttons").__ensureCollections("selects").__ensureCollections("modals");
+
+        const module = { id: PROMPT_ID, execute: (interaction, context) => this.__answerPrompt(interaction, context) };
+        this.client.buttons.set(PROMPT_ID, module);
+        this.client.selects.set(PROMPT_ID, module);
+        this.client.modals.set(PROMPT_ID, module);
+
+        return this;
+    }
+
+    /**
+     * Internal function for passing a button, select menu or modal submit to the prompt waiting for it
+     * @param {Interaction} interaction Class with data from the interaction
+     * @param {Object} context Context with the parsed `params`
+     * @returns {Promise}
+     */
+    async __answerPrompt(interaction, context) {
+        const pending = this.__prompts.get(context.params.session);
+        if (!pending) return this.compat.interactionType(interaction) === "modal" ? interaction.deferUpdate().catch(() => {}) : interaction.update({ components: [] });
+        if (interaction.user.id !== pending.user) return interaction.reply({ content: context.t("prompt_not_yours"), ephemeral: true });
+        pending.answer(interaction);
+    }
+
+    /**
+     * Internal function for disabling the components of a paginator once it times out
+     * @param {Object} session Paginator session
+     */
+    __endPages(session) {
+        this.__pages.delete(session.id);
+        Promise.resolve(session.edit({ components: this.__pageComponents(session, true) })).catch(() => {});
+    }
+
+    /**
+     * Internal function for parsing the arguments of a command against its `arguments` schema. Example schema:
+     * ```javascript
+     * arguments: [
+     *      { name: "member", type: "member" },
+     *      { name: "reason", type: "rest", optional: true, default: "No reason given" },
+     *      { name: "days", type: "integer", flag: true, min: 0, max: 7 },
+     *      { name: "silent", type: "boolean", flag: true }
+     * ]
+     * ```
+     * Supported types are `string`, `integer`, `number`, `boolean`, `user`, `member`, `channel`, `role`, `duration`, `enum` (with `choices`) and `rest` (the rest of the line, with its spacing and quotes as typed but without the flags). Words after the last argument are ignored, so use a `rest` argument to keep them
+     * @param {Message} message Class with data from the message
+     * @param {Object} command Command to parse the arguments for
+     * @param {String} input Message content after the prefix and the command name
+     * @returns {Promise<Object>} Parsed arguments by name
+     */
+    async __parseArguments(message, command, input) {
+        const schema = command.arguments || [];
+        const tokens = tokenize(input);
+        const positional = [];
+        const flags = {};
+        const flag_spans = [];
+        const parsed = {};
+
+        for (var i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.quoted || !/^--[^-]/.test(token.value)) {
+                positional.push(token);
+                continue;
+            }
+
+            const flag_start = token.start;
+
+            const equals = token.value.indexOf("=");
+            const flag_name = (equals === -1 ? token.value.slice(2) : token.value.slice(2, equals)).toLowerCase();
+            const argument = schema.find(argument => argument.flag && argument.name.toLowerCase() === flag_name);
+            if (!argument) throw new ArgumentError("argument_unknown_option", { name: flag_name });
+
+            if (equals !== -1) flags[argument.name] = token.value.slice(equals + 1);
+            else if ((argument.type || "string") === "boolean") flags[argument.name] = "true";
+            else if (i + 1 < tokens.length) flags[argument.name] = tokens[++i].value;
+            else throw new ArgumentError("argument_option_value", { name: argument.name });
+
+            flag_spans.push([flag_start, tokens[i].end]);
+        }
+
+        var index = 0;
+
+        for (const argument of schema) {
+            var value = undefined;
+
+            if (argument.flag) value = flags[argument.name];
+            else if (argument.type === "rest") {
+                // Sliced from the input, so the spacing and quotes are kept as typed. Flags in between are cut out
+                if (index < positional.length) {
+                    const end = positional[positional.length - 1].end;
+                    var from = positional[index].start;
+                    value = "";
+
+                    for (const [flag_start, flag_end] of flag_spans) {
+                        if (flag_start < from || flag_end > end) continue;
+                        value += input.slice(from, flag_start).replace(/\s+$/, "");
+                        from = flag_end;
+                    }
+
+                    value += input.slice(from, end);
+                }
+
+                index = positional.length;
+            } else if (index < positional.length) value = positional[index++].value;
+
+            parsed[argument.name] = await this.__resolveArgument(message, argument, value);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Internal function for resolving a single raw argument to its typed value
+     * @param {Message} message Class with data from the message
+     * @param {Object} argument Argument from the command's `arguments` schema
+     * @param {String} value Raw value of the argument
+     * @returns {Promise<any>} Resolved value
+     */
+    async __resolveArgument(message, argument, value) {
+        const type = argument.type || "string";
+        const name = argument.name;
+
+        if (typeof value === "undefined" || value === "") {
+            if (typeof argument.default !== "undefined") return typeof argument.default === "function" ? argument.default(message) : argument.default;
+            if (!argument.optional && !argument.flag) throw new ArgumentError("argument_missing", { name });
+            return type === "boolean" ? false : null;
+        }
+
+        const guild = message.guild;
+        const id = value.replace(/^<(?:@[!&]?|#)(\d+)>$/, "$1");
+        const lower = value.toLowerCase();
+
+        switch (type) {
+            case "string":
+            case "rest":
+                if (argument.min && value.length < argument.min) throw new ArgumentError("argument_too_short", { name, min: argument.min });
+                if (argument.max && value.length > argument.max) throw new ArgumentError("argument_too_long", { name, max: argument.max });
+                return value;
+            case "integer":
+            case "number": {
+                const number = type === "integer" ? (/^[-+]?\d+$/.test(value) ? parseInt(value, 10) : NaN) : Number(value);
+                if (isNaN(number)) throw new ArgumentError("argument_" + type, { name });
+                if (typeof argument.min === "number" && number < argument.min) throw new ArgumentError("argument_min", { name, min: argument.min });
+                if (typeof argument.max === "number" && number > argument.max) throw new ArgumentError("argument_max", { name, max: argument.max });
+                return number;
+            }
+            case "boolean":
+                if (["true", "yes", "y", "on", "1", "enable", "enabled"].includes(lower)) return true;
+                if (["false", "no", "n", "off", "0", "disable", "disabled"].includes(lower)) return false;
+                throw new ArgumentError("argument_boolean", { name });
+            case "user": {
+                const user = this.client.users.cache.get(id)
+                    || (isSnowflake(id) ? await this.client.users.fetch(id).catch(() => null) : null)
+                    || this.client.users.cache.find(user => user.username.toLowerCase() === lower || user.tag.toLowerCase() === lower);
+                if (!user) throw new ArgumentError("argument_user", { name, value });
+                return user;
+            }
+            case "member": {
+                if (!guild) throw new ArgumentError("argument_guild_only", { name });
+                const member = guild.members.cache.get(id)
+                    || (isSnowflake(id) ? await guild.members.fetch(id).catch(() => null) : null)
+                    || guild.members.cache.find(member => member.displayName.toLowerCase() === lower || member.user.tag.toLowerCase() === lower);
+                if (!member) throw new ArgumentError("argument_member", { name, value });
+                return member;
+            }
+            case "channel": {
+                const channels = guild ? guild.channels.cache : this.client.channels.cache;
+                const channel = channels.get(id) || channels.find(channel => channel.name && channel.name.toLowerCase() === lower.replace(/^#/, ""));
+                if (!channel) throw new ArgumentError("argument_channel", { name, value });
+                return channel;
+            }
+            case "role": {
+                if (!guild) throw new ArgumentError("argument_guild_only", { name });
+                const role = guild.roles.cache.get(id) || guild.roles.cache.find(role => role.name.toLowerCase() === lower.replace(/^@/, ""));
+                if (!role) throw new ArgumentError("argument_role", { name, value });
+                return role;
+            }
+            case "duration": {
+                const duration = parseDuration(value);
+                if (duration === null) throw new ArgumentError("argument_duration", { name });
+                if (typeof argument.min === "number" && duration < argument.min) throw new ArgumentError("argument_duration_min", { name });
+                if (typeof argument.max === "number" && duration > argument.max) throw new ArgumentError("argument_duration_max", { name });
+                return duration;
+            }
+            case "enum": {
+                const choice = (argument.choices || []).find(choice => String(choice).toLowerCase() === lower);
+                if (typeof choice === "undefined") throw new ArgumentError("argument_enum", { name, choices: (argument.choices || []).map(choice => "`" + choice + "`").join(", ") });
+                return choice;
+            }
+            default:
+                throw new Error("Unknown argument type " + type + " for argument " + name);
+        }
+    }
+
+    /**
+     * Internal function for getting the arguments of a hybrid command used as a slash command, in the same shape as `__parseArguments()`
+     * @param {Interaction} interaction Class with data from the interaction
+     * @param {Object} command Hybrid command
+     * @returns {Promise<Object>} Parsed arguments by name
+     */
+    async __slashArguments(interaction, command) {
+        const parsed = {};
+
+        for (const argument of command.arguments || []) {
+            const name = slashName(argument.name);
+            const option = interaction.options.get(name);
+            var value;
+
+            switch (argument.type || "string") {
+                case "user":
+                    value = option ? option.user : undefined;
+                    break;
+                case "member":
+                    value = option ? option.member : undefined;
+                    if (option && !value) throw new ArgumentError("argument_member", { name: argument.name, value: option.user ? option.user.username : option.value });
+                    break;
+                case "channel":
+                    value = option ? option.channel : undefined;
+                    break;
+                case "role":
+                    value = option ? option.role : undefined;
+                    break;
+                case "duration":
+                    // Durations are strings in slash commands, so they are parsed the same way as prefix arguments
+                    parsed[argument.name] = await this.__resolveArgument(interaction, argument, option ? String(option.value) : undefined);
+                    continue;
+                default:
+                    value = option ? option.value : undefined;
+            }
+
+            if (typeof value === "undefined" || value === null) {
+                parsed[argument.name] = await this.__resolveArgument(interaction, argument, undefined);
+                continue;
+            }
+
+            parsed[argument.name] = argument.type === "enum" ? (argument.choices || []).find(choice => String(choice) === String(value)) : value;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Internal function for generating the slash command definition of a hybrid command from its `arguments` schema
+     * @param {Object} command Hybrid command
+     * @returns {Object} Slash command definition, ready to send to Discord
+     */
+    __slashData(command) {
+        const options = (command.arguments || []).map(argument => {
+            const type = argument.type || "string";
+            const option = {
+                type: SLASH_OPTION_TYPES[type],
+                name: slashName(argument.name),
+                description: argument.description || argument.name,
+                required: !argument.optional && !argument.flag && typeof argument.default === "undefined"
+            };
+
+            if (type === "enum") option.choices = (argument.choices || []).slice(0, 25).map(choice => ({ name: String(choice), value: String(choice) }));
+            if (type === "integer" || type === "number") {
+                if (typeof argument.min === "number") option.min_value = argument.min;
+                if (typeof argument.max === "number") option.max_value = argument.max;
+            }
+            if ((type === "string" || type === "rest") && argument.min) option.min_length = argument.min;
+            if ((type === "string" || type === "rest") && argument.max) option.max_length = argument.max;
+
+            return option;
+        });
+
+        return {
+            name: slashName(command.name),
+            description: command.description || command.name,
+            // Discord wants required options before optional ones
+            options: [...options.filter(option => option.required), ...options.filter(option => !option.required)]
+        };
+    }
+
+    /**
+     * Internal function for generating the usage of a command from its `arguments` schema
+     * @param {Object} command Command to generate the usage for
+     * @param {String} prefix Prefix that was used
+     * @param {String} command_name Name or alias the command was used with. Defaults to the command name
+     * @returns {String} Usage, e.g. `!ban <member> [reason...] [--days <integer>]`
+     */
+    __usage(command, prefix = "", command_name = command.name) {
+        const parts = [prefix + command_name];
+
+        for (const argument of command.arguments || []) {
+            const type = argument.type || "string";
+            const label = type === "enum" ? (argument.choices || []).join("|") : argument.name + (type === "rest" ? "..." : "");
+            const required = !argument.optional && !argument.flag && typeof argument.default === "undefined";
+
+            if (argument.flag) parts.push("[--" + argument.name + (type === "boolean" ? "" : " <" + (type === "enum" ? label : type) + ">") + "]");
+            else parts.push(required ? "<" + label + ">" : "[" + label + "]");
+        }
+
+        return parts.join(" ");
+    }
+
+    /**
+     * Callback for when the `interactionCreate` event is triggered on the bot
+     * @param {Integration} interaction Interaction class
+     */
+    oninteraction(interaction) {}
+
+    /**
+     * This is the internal `interactionCreate` callback for the bot. Do not re-assign. Re-assign `oninteraction()` instead
+     * @param {Integration} interaction Class with data from the interaction
+     */
+    async __interaction(interaction) {
+        this.oninteraction(interaction);
+
+        const locale = await this.getLocale(interaction);
+        const type = this.compat.interactionType(interaction);
+        const context = {
+            bot: this,
+            interaction,
+            locale,
+            t: (key, data = {}) => this.__text(key, data, locale)
+        };
+        context.prompt = new Prompt(this, context);
+
+        if (type === "autocomplete") {
+            const command = (interaction.client.slash || new Map()).get(interaction.commandName);
+            if (!command || typeof command.autocomplete !== "function") return;
+            context.plugin = this.__pluginModules.get(command) || null;
+
+            const labels = { type: "autocomplete", id: interaction.commandName };
+            if (await this.isBlocked(interaction, command)) {
+                this.__track("interaction", labels, stoppedStatus("command_blocked"));
+                return interaction.respond([]).catch(error => this.logger.error("Failed to respond to autocomplete", this.__fields(interaction, { command: interaction.commandName, error })));
+            }
+
+            const start = Date.now();
+            try {
+                await command.autocomplete(interaction, context);
+                this.__track("interaction", labels, "success", start);
+            } catch (error) {
+                this.__track("interaction", labels, "error", start);
+                await this.__handleError(error, { kind: "autocomplete", name: interaction.commandName, interaction, reply: false });
+            }
+        } else if (type === "context") {
+            const menu = (interaction.client.contexts || new Map()).get(interaction.commandName);
+            if (!menu) return;
+            context.plugin = this.__pluginModules.get(menu) || null;
+
+            const labels = { type: "context", id: interaction.commandName };
+            const stopped = await this.__interactionBlocked(interaction, menu, locale);
+            if (stopped) return this.__track("interaction", labels, stopped);
+
+            const start = Date.now();
+            try {
+                await menu.execute(interaction, context);
+                this.__track("interaction", labels, "success", start);
+            } catch (error) {
+                this.__track("interaction", labels, "error", start);
+                await this.__handleError(error, { kind: "context menu", name: interaction.commandName, interaction, locale });
+            }
+        } else if (type === "command") {
+            const command = (interaction.client.slash || new Map()).get(interaction.commandName);
+            if (!command) return;
+
+            if (command.hybrid) {
+                try { await this.__runCommand(this.__context(interaction, command, { locale })); }
+                catch (error) { await this.__handleError(error, { kind: "command", name: command.name, interaction, locale }); }
+
+                return;
+            }
+
+            const labels = { type: "slash", command: interaction.commandName };
+            context.plugin = this.__pluginModules.get(command) || null;
+            const stopped = await this.__interactionBlocked(interaction, command, locale);
+            if (stopped) return this.__track("command", labels, stopped);
+        
+            const start = Date.now();
+
+            try {
+                await command.execute(interaction, context);
+                this.__track("command", labels, "success", start);
+                this.logger.debug("Ran slash command " + interaction.commandName, this.__fields(interaction, { command: interaction.commandName, duration: Date.now() - start }));
+            } catch (error) {
+                this.__track("command", labels, "error", start);
+                await this.__handleError(error, { kind: "slash command", name: interaction.commandName, interaction, locale, duration: Date.now() - start });
+            }
+        } else if (type === "button") {
+            const button = this.__route("buttons", interaction.customId, context);
+            if (!button) return this.onunmatched(interaction, context);
+
+            const labels = { type: "button", id: String(button.id) };
+            const stopped = await this.__interactionBlocked(interaction, button, locale);
+            if (stopped) return this.__track("interaction", labels, stopped);
+
+            const start = Date.now();
+            try {
+                await button.execute(interaction, context);
+                this.__track("interaction", labels, "success", start);
+            } catch (error) {
+                this.__track("interaction", labels, "error", start);
+                await this.__handleError(error, { kind: "button", name: interaction.customId, interaction, locale });
+            }
+        } else if (type === "select") {
+            const select = this.__route("selects", interaction.customId, context);
+            if (!select) return this.onunmatched(interaction, context);
+
+            const labels = { type: "select", id: String(select.id) };
+            const stopped = await this.__interactionBlocked(interaction, select, locale);
+            if (stopped) return this.__track("interaction", labels, stopped);
+
+            const start = Date.now();
+            try {
+                await select.execute(interaction, context);
+                this.__track("interaction", labels, "success", start);
+            } catch (error) {
+                this.__track("interaction", labels, "error", start);
+                await this.__handleError(error, { kind: "select menu", name: interaction.customId, interaction, locale });
+            }
+        } else if (type === "modal") {
+            const modal = this.__route("modals", interaction.customId, context);
+            if (!modal) return this.onunmatched(interaction, context);
+
+            const labels = { type: "modal", id: String(modal.id) };
+            const stopped = await this.__interactionBlocked(interaction, modal, locale);
+            if (stopped) return this.__track("interaction", labels, stopped);
+
+            const start = Date.now();
+            try {
+                await modal.execute(interaction, context);
+                this.__track("interaction", labels, "success", start);
+            } catch (error) {
+                this.__track("interaction", labels, "error", start);
+                await this.__handleError(error, { kind: "modal", name: interaction.customId, interaction, locale });
+            }
+        }
+    }
+
+    /**
+     * Internal function for counting a command or interaction and recording how long it took
+     * @param {String} kind `command` or `interaction`
+     * @param {Object} labels Labels, e.g. the `type` and `command`
+     * @param {String} status `success`, `error`, or the status of the check that stopped it, see `stoppedStatus()`
+     * @param {Number} start Time the command started at, if it was executed
+     * @returns {DiscordBot} Discord bot
+     */
+    __track(kind, labels, status, start) {
+        this.metrics.increment("dbf_" + kind + "s_total", Object.assign({ status }, labels));
+        if (typeof start === "number") this.metrics.observe("dbf_" + kind + "_duration_seconds", labels, (Date.now() - start) / 1000);
+        return this;
+    }
+
+    /**
+     * Gets the usage of commands and interactions, along with the gateway ping, uptime and server and user counts. Only counts this process when sharded, use `bot.shard.stats()` for the totals across all shards
+     * @returns {Object} Stats with `ping` (milliseconds), `uptime` (milliseconds), `guilds`, `users`, `unknownCommands`, and `commands` and `interactions` by `<type>:<name>`, each with their `total`, count per status and `duration` (`count`, `sum` and `average` in seconds)
+     */
+    stats() {
+        const summary = kind => {
+            const result = {};
+            const key = labels => labels.type + ":" + (labels.command || labels.id);
+
+            for (const counter of this.metrics.counters.values()) {
+                if (counter.name !== "dbf_" + kind + "s_total") continue;
+
+                const name = key(counter.labels);
+                if (!result[name]) result[name] = { total: 0, duration: { count: 0, sum: 0, average: 0 } };
+                result[name].total += counter.value;
+                result[name][counter.labels.status] = (result[name][counter.labels.status] || 0) + counter.value;
+            }
+
+            for (const histogram of this.metrics.histograms.values()) {
+                if (histogram.name !== "dbf_" + kind + "_duration_seconds" || !result[key(histogram.labels)]) continue;
+                result[key(histogram.labels)].duration = { count: histogram.count, sum: histogram.sum, average: histogram.count > 0 ? histogram.sum / histogram.count : 0 };
+            }
+
+            return result;
+        };
+
+        return Object.assign(this.__gauges(), {
+            unknownCommands: this.metrics.get("dbf_unknown_commands_total"),
+            commands: summary("command"),
+            interactions: summary("interaction")
+        });
+    }
+
+    /**
+     * Internal function for getting the gateway ping, uptime and server and user counts
+     * @returns {Object} `ping`, `uptime`, `guilds` and `users`
+     */
+    __gauges() {
+        const guilds = [...this.client.guilds.cache.values()];
+        const members = guilds.reduce((total, guild) => total + (guild.memberCount || 0), 0);
+
+        return {
+            ping: this.client.ws ? this.client.ws.ping : null,
+            uptime: this.client.uptime || 0,
+            guilds: guilds.length,
+            users: members || this.client.users.cache.size
+        };
+    }
+
+    /**
+     * Gets the metrics in the Prometheus text format
+     * @returns {String} Metrics
+     */
+    prometheus() {
+        const gauges = this.__gauges();
+
+        return this.metrics.prometheus({
+            dbf_ping_milliseconds: gauges.ping,
+            dbf_uptime_seconds: gauges.uptime / 1000,
+            dbf_guilds: gauges.guilds,
+            dbf_users: gauges.users
+        });
+    }
+
+    /**
+     * Starts an HTTP server serving the metrics in the Prometheus text format. Called automatically on `ready` when `data.metrics` is on. When sharded, every process serves its own metrics on `port` plus the ID of its first shard
+     * @param {Object} options `port` (defaults to 9464), `host` and `path` (defaults to `/metrics`)
+     * @returns {DiscordBot} Discord bot
+     */
+    serveMetrics(options = {}) {
+        if (this.metricsServer) return this;
+
+        var port = typeof options.port === "number" ? options.port : 9464;
+        if (port && this.shard.enabled) port += this.shard.ids[0];
+        const path = options.path || "/metrics";
+
+        this.metricsServer = http.createServer((request, response) => {
+            if (request.method !== "GET" || request.url.split("?")[0] !== path) {
+                response.writeHead(404, { "Content-Type": "text/plain" });
+                return response.end("Not found");
+            }
+
+            response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+            response.end(this.prometheus());
+        });
+
+        this.metricsServer.on("error", error => this.logger.error("Metrics server failed", { error }));
+        this.metricsServer.listen(port, options.host, () => this.logger.info("Serving metrics on http://" + (options.host || "localhost") + ":" + port + path));
+
+        return this;
+    }
+
+    /**
+     * Callback for when a button, select menu or modal submit has a custom ID that does not match any registered `id`
+     * @param {Interaction} interaction Class with data from the interaction
+     * @param {Object} context Context with the bot, interaction, locale and `t()` function
+     */
+    onunmatched(interaction, context) {}
+
+    /**
+     * Internal function for finding the button, select menu or modal matching a custom ID. Exact IDs are checked first, then patterns in the order they were registered
+     * @param {String} kind `buttons`, `selects` or `modals`
+     * @param {String} customId Custom ID of the interaction
+     * @param {Object} context Context to set the parsed `params` and the `plugin` of the module on
+     * @returns {Object} Matching module, if any
+     */
+    __route(kind, customId, context) {
+        const modules = this.client[kind] || new Map();
+        const exact = modules.get(customId);
+
+        if (exact) {
+            context.params = {};
+            context.plugin = this.__pluginModules.get(exact) || null;
+            return exact;
+        }
+
+        for (const module of modules.values()) {
+            const params = matchCustomId(module.id, customId);
+            if (!params) continue;
+            context.params = params;
+            context.plugin = this.__pluginModules.get(module) || null;
+            return module;
+        }
+    }
+
+    /**
+     * Builds a custom ID from a pattern like `vote:{pollId}:{choice}`, to be matched by a button, select menu or modal with the same `id`
+     * @param {String} pattern Custom ID pattern
+     * @param {Object} params Values for the `{param}` placeholders
+     * @returns {String} Custom ID
+     */
+    customId(pattern, params = {}) {
+        const id = pattern.replace(/{(\w+)}/g, (match, name) => {
+            if (params[name] === undefined || params[name] === null) throw new Error("Missing custom ID param \"" + name + "\" for \"" + pattern + "\"");
+            return String(params[name]);
+        });
+
+        if (id.length > 100) throw new RangeError("Custom ID \"" + id + "\" is longer than 100 characters");
+
+        return id;
+    }
+
+    /**
+     * Callback for when a command, interaction or event fails. Use it to send errors to your own error tracker
+     * @param {Error} error Error that happened
+     * @param {Object} info `id` of the error, `kind` and `name` of what failed, and the `message` or `interaction` it failed for
+     */
+    onerror(error, info) {}
+
+    /**
+     * Internal function for handling a failed command, interaction or event. Logs the error with an error ID, calls `onerror()`, sends a report to `data.errorReports` and replies to the user with the `command_error` response
+     * @param {Error} error Error that happened
+     * @param {Object} info `kind` and `name` of what failed, the `message` or `interaction`, and optionally the `prefix`, `locale`, `duration` and `reply` (`false` to not reply)
+     * @returns {Promise<String>} Error ID
+     */
+    async __handleError(error, info = {}) {
+        const id = crypto.randomBytes(4).toString("hex").toUpperCase();
+        const target = info.interaction || info.message || null;
+        info = Object.assign({ id }, info);
+
+        this.logger.error(info.kind.charAt(0).toUpperCase() + info.kind.slice(1) + " " + info.name + " failed", this.__fields(target, { kind: info.kind, name: info.name, errorId: id, duration: info.duration, error }));
+
+        try { await this.onerror(error, info); }
+        catch (hook_error) { this.logger.error("onerror failed for error " + id, { error: hook_error }); }
+
+        await this.__reportError(error, info).catch(report_error => this.logger.error("Failed to report error " + id, { error: report_error }));
+
+        if (target && info.reply !== false) {
+            await this.responses.command_error(target, {
+                error,
+                error_id: id,
+                command_name: info.name,
+                prefix: info.prefix,
+                locale: info.locale
+            }).catch(reply_error => this.logger.error("Failed to send the command_error response for error " + id, this.__fields(target, { error: reply_error })));
+        }
+
+        return id;
+    }
+
+    /**
+     * Internal function for sending the full report of an error to the channel and bot owners in `data.errorReports`
+     * @param {Error} error Error that happened
+     * @param {Object} info Error ID and where the error happened
+     * @returns {Promise}
+     */
+    async __reportError(error, info) {
+        const options = this.data.errorReports;
+        if (!options || (!options.channel && !options.owners)) return;
+
+        const target = info.interaction || info.message || null;
+        const user = target ? this.__author(target) : null;
+        const embed = new this.compat.Embed()
+            .setColor("RED")
+            .setTitle("Error " + info.id)
+            .setDescription("```" + String(error && error.stack ? error.stack : error).slice(0, 4000) + "```")
+            .addField("Source", info.kind + " `" + info.name + "`", true);
+
+        if (user) embed.addField("User", user.username + " (" + user.id + ")", true);
+        if (target && target.guild) embed.addField("Server", target.guild.name + " (" + target.guild.id + ")", true);
+        if (target && target.channel) embed.addField("Channel", "<#" + target.channel.id + ">", true);
+        if (this.shard.enabled) embed.addField("Shard", this.shard.ids.join(", "), true);
+
+        const channels = [];
+
+        if (options.channel) channels.push(this.client.channels.cache.get(options.channel) || await this.client.channels.fetch(options.channel));
+        if (options.owners) for (const owner of this.data.owners || []) channels.push(this.client.users.cache.get(owner) || await this.client.users.fetch(owner));
+
+        for (const channel of channels) if (channel) await channel.send({ embeds: [embed] });
+    }
+
+    /**
+     * Internal function for replying to an interaction of a blocked user
+     * @param {Interaction} interaction Class with data from the interaction
+     * @param {Object} module Slash command, button or select menu that was used
+     * @param {String} locale Locale to reply in
+     * @returns {Promise<String|null>} Metrics status if the user is blocked, see `stoppedStatus()`
+     */
+    async __interactionBlocked(interaction, module, locale) {
+        const block = await this.isBlocked(interaction, module);
+        if (!block) return null;
+
+        const msg = this.__text("command_blocked", {
+            reason: block.reason || "",
+            author: interaction.user.username,
+            command: interaction.commandName || interaction.customId
+        }, locale);
+
+        const embed = new this.compat.Embed()
+            .setColor("RED")
+            .setTitle(this.__text("title_command_blocked", {}, locale))
+            .setDescription(msg);
+
+        await interaction.reply({ embeds: [embed], ephemeral: true }).catch(error => this.logger.error("Failed to reply with the error", this.__fields(interaction, { error })));
+
+        return stoppedStatus("command_blocked");
+    }
+
+    /**
+     * Shows a status right away, e.g. for an announcement. Pauses the rotation of `data.statuses`, and resumes it after `duration` if given. Example:
+     * ```javascript
+     * await bot.setStatus({ name: "Restarting in 5 minutes", type: "WATCHING", status: "dnd" }, "5m");
+     * ```
+     * @param {Object|Function|String} status Status like in `data.statuses`, or just its name
+     * @param {Number|String} duration Time in milliseconds or a duration like `10m` after which the rotation resumes. Keeps the status until `resumeStatus()` if not given
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    async setStatus(status, duration) {
+        const time = typeof duration === "string" ? parseDuration(duration) : duration || null;
+        if (duration && !time) throw new Error("Invalid status duration " + duration);
+
+        this.pauseStatus();
+        const run = this.__statusRun;
+
+        await this.__applyStatus(status);
+        if (time && run === this.__statusRun) this.statusLoop = setTimeout(() => this.resumeStatus(), time);
+
+        return this;
+    }
+
+    /**
+     * Pauses the rotation of `data.statuses`, keeping the current status
+     * @returns {DiscordBot} Discord bot
+     */
+    pauseStatus() {
+        this.__statusPaused = true;
+        this.__statusRun++;
+        clearTimeout(this.statusLoop);
+        this.statusLoop = null;
+        return this;
+    }
+
+    /**
+     * Resumes the rotation of `data.statuses` after `setStatus()` or `pauseStatus()`, starting with the next status right away
+     * @returns {DiscordBot} Discord bot
+     */
+    resumeStatus() {
+        this.__statusPaused = false;
+        this.__status();
+        return this;
+    }
+
+    /**
+     * Internal function to set the next status of the bot from `data.statuses`, picked by `data.statusMode`, and schedule the one after it
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    async __status() {
+        clearTimeout(this.statusLoop);
+        this.statusLoop = null;
+
+        const statuses = this.data.statuses || [];
+        if (this.__statusPaused || statuses.length < 1) return this;
+
+        const run = ++this.__statusRun;
+        const status = this.__nextStatus(statuses);
+        var shown = null;
+
+        try { shown = await this.__applyStatus(status); }
+        catch (error) { await this.__handleError(error, { kind: "status", name: typeof status === "string" ? status : status.name || "status function" }); }
+
+        // The rotation was paused or moved on while an async status was loading
+        if (run !== this.__statusRun) return this;
+
+        const duration = (shown && shown.duration) || status.duration || this.data.statusInterval || 15000;
+        this.statusLoop = setTimeout(() => this.__status(), typeof duration === "string" ? parseDuration(duration) || 15000 : duration);
+
+        return this;
+    }
+
+    /**
+     * Internal function for picking the next status
+     * @param {Array} statuses Statuses from `data.statuses`
+     * @returns {Object|Function} Status
+     */
+    __nextStatus(statuses) {
+        switch (this.data.statusMode || "random") {
+            case "sequential":
+                this.__statusIndex = (this.__statusIndex + 1) % statuses.length;
+                return statuses[this.__statusIndex];
+            case "weighted": {
+                const weights = statuses.map(status => typeof status.weight === "undefined" ? 1 : Math.max(Number(status.weight) || 0, 0));
+                var pick = Math.random() * weights.reduce((total, weight) => total + weight, 0);
+
+                for (const [index, weight] of weights.entries()) {
+                    pick -= weight;
+                    if (pick < 0) return statuses[index];
+                }
+
+                return statuses[statuses.length - 1];
+            }
+            default:
+                return statuses[Math.floor(Math.random() * statuses.length)];
+        }
+    }
+
+    /**
+     * Internal function for filling in the placeholders of a status and setting it as the presence of the bot
+     * @param {Object|Function|String} status Status, a function that gives one, or just its name
+     * @returns {Promise<Object|null>} The status that was set, or `null` if a status function gave nothing
+     */
+    async __applyStatus(status) {
+        if (typeof status === "function") status = await status(this);
+        if (typeof status === "string") status = { name: status };
+        if (!status) return null;
+
+        var name = String(status.name || "");
+
+        for (const [placeholder, provider] of Object.entries(this.statusPlaceholders)) {
+            if (!name.includes("{{" + placeholder + "}}")) continue;
+            const value = typeof provider === "function" ? await provider(this) : provider;
+            name = name.split("{{" + placeholder + "}}").join(String(value));
+        }
+
+        this.client.user.setPresence({
+            activities: [
+                {
+                    name: name || (!this.data.prefixes ? "!" : this.data.prefixes[0]) + "help",
+                    type: this.compat.activityType(status.type || "PLAYING"),
+                    url: status.url || null
+                }
+            ],
+            status: status.status || "online"
+        });
+
+        return status;
+    }
+
+    /**
+     * Internal function for loading commands from their files
+     * @param {String} path Path to commands folder. Defaults to `./commands`
+     * @returns {DiscordBot} Discord bot
+     */
+    __loadCommands(path = "./commands") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        this.client.commands = new this.discord.Collection();
+        this.client.aliases = new this.discord.Collection();
+        this.client.categories = new this.discord.Collection();
+
+        if (files.length < 1) return this;
+
+        this.logger.debug("Registering commands");
+
+        for (const file of files) {
+            const command = require(path + "/" + file);
+            this.logger.debug("Registering command " + command.name);
+            this.__register("commands", path + "/" + file, command);
+            this.logger.debug("Successfully registered command " + command.name);
+        }
+
+        this.logger.debug("All commands have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading events from their files
+     * @param {String} path Path to events folder. Defaults to `./events`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerEvents(path = "./events") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering events");
+    
+        for (const file of files) {
+            const event = require(path + "/" + file);
+            this.logger.debug("Registering event " + event.name);
+            this.__register("events", path + "/" + file, event);
+            this.logger.debug("Successfully registered event " + event.name);
+        }
+    
+        this.logger.debug("All events have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading scheduled tasks from their files and starting them
+     * @param {String} path Path to tasks folder. Defaults to `./tasks`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerTasks(path = "./tasks") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering tasks");
+    
+        for (const file of files) {
+            const task = require(path + "/" + file);
+            this.logger.debug("Registering task " + task.name);
+            this.__register("tasks", path + "/" + file, task);
+            this.logger.debug("Successfully registered task " + task.name);
+        }
+    
+        this.logger.debug("All tasks have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading buttons from their files
+     * @param {String} path Path to buttons folder. Defaults to `./buttons`
+     * @returns {DiscordBot} Discord bot
+     */
+     __registerButtons(path = "./buttons") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        this.client.buttons = new this.discord.Collection();
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering buttons");
+    
+        for (const file of files) {
+            const button = require(path + "/" + file);
+            this.logger.debug("Registering button " + button.id);
+            this.__register("buttons", path + "/" + file, button);
+            this.logger.debug("Successfully registered button " + button.id);
+        }
+    
+        this.logger.debug("All buttons have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading select menus from their files
+     * @param {String} path Path to select menus folder. Defaults to `./selects`
+     * @returns {DiscordBot} Discord bot
+     */
+     __registerSelectMenus(path = "./selects") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        this.client.selects = new this.discord.Collection();
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering select menus");
+    
+        for (const file of files) {
+            const select = require(path + "/" + file);
+            this.logger.debug("Registering select menu " + select.id);
+            this.__register("selects", path + "/" + file, select);
+            this.logger.debug("Successfully registered select menu " + select.id);
+        }
+    
+        this.logger.debug("All select menus have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading modals from their files
+     * @param {String} path Path to modals folder. Defaults to `./modals`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerModals(path = "./modals") {
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        this.client.modals = new this.discord.Collection();
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering modals");
+    
+        for (const file of files) {
+            const modal = require(path + "/" + file);
+            this.logger.debug("Registering modal " + modal.id);
+            this.__register("modals", path + "/" + file, modal);
+            this.logger.debug("Successfully registered modal " + modal.id);
+        }
+    
+        this.logger.debug("All modals have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading user and message context menus from their files. They are deployed by `__deployCommands()`
+     * @param {String} path Path to context menus folder. Defaults to `./contexts`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerContextMenus(path = "./contexts") {
+        if (!(this.data.slash || false)) return this;
+
+        var files = [];
+        try { files = walk(path); }
+        catch { return this; }
+
+        this.client.contexts = new this.discord.Collection();
+
+        if (files.length < 1) return this;
+    
+        this.logger.debug("Registering context menus");
+    
+        for (const file of files) {
+            const menu = require(path + "/" + file);
+            this.logger.debug("Registering context menu " + menu.data.name);
+            this.__register("contexts", path + "/" + file, menu);
+            this.logger.debug("Successfully registered context menu " + menu.data.name);
+        }
+    
+        this.logger.debug("All context menus have been registered");
+
+        return this;
+    }
+
+    /**
+     * Internal function for loading slash commands from their files. They are deployed by `__deployCommands()`
+     * @param {String} path Path to slash commands folder. Defaults to `./slash`
+     * @returns {DiscordBot} Discord bot
+     */
+    __registerSlashCommands(path = "./slash") {
+        try {
+            if (!(this.data.slash || false)) return this;
+            
+            var files = [];
+            try { files = walk(path); }
+            catch {}
+        
+            this.client.slash = new this.discord.Collection();
+        
+            for (const file of files) {
+                const command = require(path + "/" + file);
+                this.__register("slash", path + "/" + file, command);
+            }
+        } catch (error) { this.logger.error("Failed to load slash commands", { error }); }
+
+        return this;
+    }
+
+    /**
+     * Internal function for adding the hybrid commands to the slash commands and deploying them
+     * @param {Function} rest Rest API
+     * @param {String} version Rest API version to use. Defaults to `9` (current)
+     * @param {Boolean} dev Discord bot development. Defaults to `true`
+     * @param {String|Array<String>} devId Discord bot development guild id(s)
+     * @returns {DiscordBot} Discord bot
+     */
+    __deployCommands(rest = null, version = "9", dev = true, devId = "") {
+        try {
+            if (!(this.data.slash || false)) return this;
+
+            this.__ensureCollections("slash");
+
+            if (this.client.commands) for (const command of this.client.commands.values()) if (command.hybrid) this.__addHybrid(command);
+        
+            this.__syncCommands(rest, version, dev, devId).catch(error => this.logger.error("Failed to deploy slash commands", { error }));
+        } catch (error) { this.logger.error("Failed to load slash commands", { error }); }
+
+        return this;
+    }
+
+    /**
+     * Internal function for adding a hybrid command to the slash commands. A slash command with the same name is kept, and the hybrid command only works as a prefix command
+     * @param {Object} command Hybrid command
+     * @returns {Boolean} Whether the command was added
+     */
+    __addHybrid(command) {
+        const name = slashName(command.name);
+        const existing = this.client.slash.get(name);
+
+        if (existing && existing !== command) {
+            this.logger.warn("Hybrid command " + command.name + " has the same name as the slash command " + name + ", so it only works as a prefix command", { command: command.name });
+            return false;
+        }
+
+        this.client.slash.set(name, command);
+        return true;
+    }
+
+    /**
+     * Internal function for sending the loaded slash commands to Discord. Only the commands that changed are created, updated or deleted, and nothing is sent if the hashes in the `slashCache` file didn't change. Calls made while a deployment is running wait for it. Slash commands with `guilds: ["id"]` are only deployed to those guilds, and in `dev` mode everything is deployed to the development guilds
+     * @param {Function} rest Rest API
+     * @param {String} version Rest API version to use. Defaults to `9` (current)
+     * @param {Boolean} dev Discord bot development. Defaults to `data.dev`
+     * @param {String|Array<String>} devId Discord bot development guild id(s)
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    __syncCommands(rest, version, dev, devId) {
+        this.__syncing = this.__syncing.catch(() => {}).then(() => this.__deploy(rest, version, dev, devId));
+        return this.__syncing;
+    }
+
+    /**
+     * Internal function for deploying the slash commands, after the deployment before it is done. See `__syncCommands()`
+     * @param {Function} rest Rest API
+     * @param {String} version Rest API version to use. Defaults to `9` (current)
+     * @param {Boolean} dev Discord bot development. Defaults to `data.dev`
+     * @param {String|Array<String>} devId Discord bot development guild id(s)
+     * @returns {Promise<DiscordBot>} Discord bot
+     */
+    async __deploy(rest = this.data.restApi || null, version = this.data.version || "9", dev = this.data.dev || false, devId = this.data.devGuildId || this.data.devId || "") {
+        if (!rest) {
+            this.logger.warn("Can't deploy slash commands without a restApi");
+            return this;
+        }
+
+        const id = this.client.user.id;
+        const _rest = new rest({ version: version }).setToken(this.token || "");
+        const dev_guilds = [].concat(devId || []).filter(guild => !!guild);
+        const targets = new Map();
+
+        if (dev && dev_guilds.length < 1) this.logger.warn("No devGuildId given, deploying slash commands globally");
+
+        const add = (target, definition) => {
+            if (!targets.has(target)) targets.set(target, []);
+            if (definition) targets.get(target).push(definition);
+        };
+
+        if (dev && dev_guilds.length > 0) dev_guilds.forEach(guild => add(guild));
+        else add("global");
+
+        for (const command of [...this.client.slash.values(), ...(this.client.contexts ? this.client.contexts.values() : [])]) {
+            const definition = Object.assign({ type: 1 }, command.hybrid ? this.__slashData(command) : command.data.toJSON());
+
+            if (dev && dev_guilds.length > 0) dev_guilds.forEach(guild => add(guild, definition));
+            else if (command.guilds) [].concat(command.guilds).forEach(guild => add(String(guild), definition));
+            else add("global", definition);
+        }
+
+        const cache = this.__slashCache();
+        const namespace = "slash_" + id;
+
+        // Targets that had commands last time but don't anymore still need their commands removed. Global commands are left alone in dev mode
+        if (cache) for (const target of await cache.keys(namespace)) if (!(dev && dev_guilds.length > 0 && target === "global")) add(target);
+
+        for (const [target, definitions] of targets) {
+            const name = target === "global" ? "globally" : "for guild " + target;
+            const hash = crypto.createHash("sha1").update(JSON.stringify(definitions.map(normalizeCommand).sort((a, b) => (a.name + a.type).localeCompare(b.name + b.type)))).digest("hex");
+
+            if (cache && await cache.get(namespace, target) === hash) {
+                this.logger.debug("Slash commands " + name + " are up to date");
+                continue;
+            }
+
+            try {
+                const summary = await this.__syncTarget(_rest, id, target, definitions);
+                const changes = ["created", "updated", "deleted"].filter(change => summary[change].length > 0).map(change => summary[change].length + " " + change + " (" + summary[change].join(", ") + ")");
+
+                this.logger.info("Slash commands " + name + ": " + (changes.length > 0 ? changes.join(", ") + ", " : "") + summary.unchanged.length + " unchanged");
+
+                if (!cache) continue;
+                if (definitions.length > 0) await cache.set(namespace, target, hash);
+                else await cache.delete(namespace, target);
+            } catch (error) { this.logger.error("Failed to deploy slash commands " + name, { error }); }
+        }
+
+        if (cache) await cache.save();
+
+        return this;
+    }
+
+    /**
+     * Internal function for syncing the slash commands of one target with Discord
+     * @param {REST} rest Rest API client
+     * @param {String} id Discord bot application id
+     * @param {String} target `global` or a guild id
+     * @param {Array<Object>} definitions Slash command definitions that should be registered
+     * @returns {Promise<Object>} Names of the `created`, `updated`, `deleted` and `unchanged` commands
+     */
+    async __syncTarget(rest, id, target, definitions) {
+        const route = "/applications/" + id + (target === "global" ? "" : "/guilds/" + target) + "/commands";
+        const current = await rest.get(route);
+        const summary = { created: [], updated: [], deleted: [], unchanged: [] };
+        const key = command => (command.type || 1) + ":" + command.name;
+        const wanted = new Set(definitions.map(key));
+
+        // Delete first, so removed commands don't count against the command limit
+        for (const command of current) {
+            if (wanted.has(key(command))) continue;
+            await rest.delete(route + "/" + command.id);
+            summary.deleted.push(command.name);
+        }
+
+        for (const definition of definitions) {
+            const existing = current.find(command => key(command) === key(definition));
+
+            if (!existing) {
+                await rest.post(route, { body: definition });
+                summary.created.push(definition.name);
+            } else if (JSON.stringify(normalizeCommand(existing)) !== JSON.stringify(normalizeCommand(definition))) {
+                await rest.patch(route + "/" + existing.id, { body: definition });
+                summary.updated.push(definition.name);
+            } else summary.unchanged.push(definition.name);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Internal function for getting the store that keeps the hashes of the deployed slash commands
+     * @returns {JSONStore|null} Slash command cache, or `null` if `data.slashCache` is `false`
+     */
+    __slashCache() {
+        if (this.data.slashCache === false) return null;
+        if (!this.__slashCacheStore) this.__slashCacheStore = new JSONStore((this.data.path || ".") + "/" + (typeof this.data.slashCache === "string" && this.data.slashCache ? this.data.slashCache : ".slash-cache.json"));
+        return this.__slashCacheStore;
+    }
+
+    /**
+     * Internal function for getting the folder path of a kind of module
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts`, `tasks` or `locales`
+     * @returns {String} Folder path
+     */
+    __path(kind) {
+        const folders = {
+            commands: this.data.commandsPath || "commands",
+            events: this.data.eventsPath || "events",
+            buttons: this.data.buttonsPath || "buttons",
+            selects: this.data.selectMenusPath || "selects",
+            modals: this.data.modalsPath || "modals",
+            slash: this.data.slashPath || "slash",
+            contexts: this.data.contextsPath || "contexts",
+            tasks: this.data.tasksPath || "tasks",
+            locales: this.data.localesPath || "locales"
+        };
+
+        return (this.data.path || ".") + "/" + folders[kind];
+    }
+
+    /**
+     * Internal function for getting the name a module is registered under
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @param {Object} module Loaded module
+     * @returns {String} Name or id of the module
+     */
+    __name(kind, module) {
+        if (!module) return;
+        if (kind === "buttons" || kind === "selects" || kind === "modals") return module.id;
+        if (kind === "slash" || kind === "contexts") return module.data && module.data.name;
+        return module.name;
+    }
+
+    /**
+     * Internal function for getting the category of a file from the subfolder it is in, e.g. `commands/moderation/ban.js` is in the `moderation` category
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @param {String} file Path of the file
+     * @returns {String|null} Category, or `null` if the file isn't in a subfolder
+     */
+    __category(kind, file) {
+        const root = this.__path(kind) + "/";
+        if (!file.startsWith(root)) return null;
+
+        const folders = file.slice(root.length).split("/").slice(0, -1);
+        return folders.length > 0 ? folders[folders.length - 1] : null;
+    }
+
+    /**
+     * Internal function for registering a loaded module on the bot
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @param {String} file Path of the file the module was loaded from
+     * @param {Object} module Loaded module
+     * @returns {DiscordBot} Discord bot
+     */
+    __register(kind, file, module) {
+        const category = this.__category(kind, file);
+        if (category && !module.category) module.category = category;
+
+        switch (kind) {
+            case "commands":
+                this.client.commands.set(module.name, module);
+                if (!!module.aliases) module.aliases.map(alias => this.client.aliases.set(alias, module));
+                if (module.hybrid && this.client.slash) this.__addHybrid(module);
+                if (module.category) {
+                    if (!this.client.categories.has(module.category)) this.client.categories.set(module.category, new this.discord.Collection());
+                    this.client.categories.get(module.category).set(module.name, module);
+                }
+                break;
+            case "events": {
+                const listener = async (...args) => {
+                    try { await module.execute(...args); }
+                    catch (error) { await this.__handleError(error, { kind: "event", name: module.name }); }
+                };
+                if (module.once) this.client.once(module.name, listener);
+                else this.client.on(module.name, listener);
+                this.__listeners.set(file, { name: module.name, listener });
+                break;
+            }
+            case "buttons":
+                this.client.buttons.set(module.id, module);
+                break;
+            case "selects":
+            case "modals":
+                this.client[kind].set(module.id, module);
+                break;
+            case "slash":
+            case "contexts": {
+                const existing = this.client[kind].get(module.data.name);
+                if (existing && existing.hybrid) this.logger.warn("Slash command " + module.data.name + " replaces the hybrid command " + existing.name + ", which now only works as a prefix command", { command: existing.name });
+                this.client[kind].set(module.data.name, module);
+                break;
+            }
+            case "tasks": {
+                const task = new Task(this, module);
+                this.tasks.set(module.name, task);
+                if (module.enabled !== false) task.start();
+                break;
+            }
+        }
+
+        this.__loaded[kind].set(file, module);
+
+        return this;
+    }
+
+    /**
+     * Internal function for removing a loaded module from the bot
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @param {String} file Path of the file the module was loaded from
+     * @returns {DiscordBot} Discord bot
+     */
+    __unregister(kind, file) {
+        const module = this.__loaded[kind].get(file);
+        if (!module) return this;
+
+        switch (kind) {
+            case "commands":
+                if (this.client.commands.get(module.name) === module) this.client.commands.delete(module.name);
+                for (const [alias, command] of this.client.aliases) if (command === module) this.client.aliases.delete(alias);
+                if (module.hybrid && this.client.slash && this.client.slash.get(slashName(module.name)) === module) this.client.slash.delete(slashName(module.name));
+                if (module.category && this.client.categories.has(module.category)) {
+                    const category = this.client.categories.get(module.category);
+                    if (category.get(module.name) === module) category.delete(module.name);
+                    if (category.size < 1) this.client.categories.delete(module.category);
+                }
+                break;
+            case "events": {
+                const { name, listener } = this.__listeners.get(file);
+                this.client.removeListener(name, listener);
+                this.__listeners.delete(file);
+                break;
+            }
+            case "buttons":
+            case "selects":
+            case "modals":
+                if (this.client[kind].get(module.id) === module) this.client[kind].delete(module.id);
+                break;
+            case "slash":
+            case "contexts":
+                if (this.client[kind].get(module.data.name) === module) this.client[kind].delete(module.data.name);
+                break;
+            case "tasks": {
+                const task = this.tasks.get(module.name);
+                if (task && task.module === module) {
+                    task.stop();
+                    this.tasks.delete(module.name);
+                }
+                break;
+            }
+        }
+
+        this.__loaded[kind].delete(file);
+
+        return this;
+    }
+
+    /**
+     * Internal function for (re)loading a single file. If the new version of the file throws while loading, the old version is kept
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @param {String} file Path of the file
+     * @returns {Boolean} Whether the file was (re)loaded or removed successfully
+     */
+    __reloadFile(kind, file) {
+        const old = this.__loaded[kind].get(file);
+        var resolved = null;
+
+        try { resolved = require.resolve(file); }
+        catch {}
+
+        if (!resolved || !fs.existsSync(resolved)) {
+            if (!old) return false;
+            if (resolved) delete require.cache[resolved];
+            this.__unregister(kind, file);
+            this.logger.info("Removed " + KINDS[kind] + " " + this.__name(kind, old) + " (" + file + ")");
+            return true;
+        }
+
+        const cached = require.cache[resolved];
+        delete require.cache[resolved];
+
+        var module;
+
+        try {
+            module = require(resolved);
+            if (!this.__name(kind, module)) throw new Error(file + " doesn't export a valid " + KINDS[kind]);
+            if (kind === "tasks") taskSchedule(module);
+        } catch (error) {
+            if (cached) require.cache[resolved] = cached;
+            else delete require.cache[resolved];
+            this.logger.error("Failed to reload " + KINDS[kind] + " " + file + ", keeping the old version", { error });
+            return false;
+        }
+
+        if (old) this.__unregister(kind, file);
+        this.__register(kind, file, module);
+        this.logger.info((old ? "Reloaded " : "Loaded ") + KINDS[kind] + " " + this.__name(kind, module) + " (" + file + ")");
+
+        return true;
+    }
+
+    /**
+     * Reloads commands, events, buttons, select menus, slash commands and tasks from their files without restarting the bot. Example:
+     * ```javascript
+     * bot.reload(); // Reloads everything
+     * bot.reload("commands"); // Reloads all commands, including new and deleted files
+     * bot.reload("commands", "ping"); // Reloads the command named (or aliased) `ping`
+     * ```
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`. Reloads all kinds if not given
+     * @param {String} name Name (or id for buttons and select menus) of the module to reload. Reloads the whole folder if not given
+     * @returns {Boolean} Whether everything was reloaded successfully
+     */
+    reload(kind, name) {
+        if (!kind) return Object.keys(KINDS).map(kind => this.reload(kind)).every(success => success);
+        if (!KINDS[kind]) throw new Error("Unknown kind " + kind + ". Use one of " + Object.keys(KINDS).join(", "));
+        if (APPLICATION_COMMANDS.includes(kind) && !this.data.slash) return true;
+
+        // Modules of plugins don't have files to reload
+        var files = [...this.__loaded[kind].keys()].filter(file => !file.startsWith(PLUGIN_FILE));
+
+        if (name) {
+            files = files.filter(file => {
+                const module = this.__loaded[kind].get(file);
+                return this.__name(kind, module) === name || (kind === "commands" && (module.aliases || []).includes(name));
+            });
+
+            if (files.length < 1) {
+                this.logger.warn("Couldn't find " + KINDS[kind] + " " + name + " to reload");
+                return false;
+            }
+        } else {
+            const path = this.__path(kind);
+            try { for (const file of walk(path)) if (!files.includes(path + "/" + file)) files.push(path + "/" + file); }
+            catch {}
+        }
+
+        this.__ensureCollections(kind);
+
+        const success = files.map(file => this.__reloadFile(kind, file)).every(success => success);
+        if (APPLICATION_COMMANDS.includes(kind) || (kind === "commands" && this.data.slash && [...this.client.commands.values()].some(command => command.hybrid))) this.__syncCommands().catch(error => this.logger.error("Failed to deploy slash commands", { error }));
+
+        return success;
+    }
+
+    /**
+     * Internal function for making sure the collections of a kind of module exist, even if its folder didn't exist when the bot started
+     * @param {String} kind `commands`, `events`, `buttons`, `selects`, `modals`, `slash`, `contexts` or `tasks`
+     * @returns {DiscordBot} Discord bot
+     */
+    __ensureCollections(kind) {
+        const collections = { commands: ["commands", "aliases", "categories"], buttons: ["buttons"], selects: ["selects"], modals: ["modals"], slash: ["slash"], contexts: ["contexts"] };
+        for (const collection of collections[kind] || []) if (!this.client[collection]) this.client[collection] = new this.discord.Collection();
+        return this;
+    }
+
+    /**
+     * Starts watching the command, event, button, select menu, modal, slash command, context menu and task folders, reloading files when they change. Called automatically on `ready` when `dev` and `watch` are enabled
+     * @returns {DiscordBot} Discord bot
+     */
+    watch() {
+        if (this.__watchers.length > 0) return this;
+
+        const timeouts = new Map();
+        const watch = (path, listener) => {
+            try { return fs.watch(path, { recursive: true }, listener); }
+            catch (error) {
+                if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+                return fs.watch(path, listener);
+            }
+        };
+
+        for (const kind of Object.keys(KINDS)) {
+            if (APPLICATION_COMMANDS.includes(kind) && !this.data.slash) continue;
+
+            const path = this.__path(kind);
+
+            try {
+                this.__watchers.push(watch(path, (type, filename) => {
+                    if (!filename || !filename.endsWith(".js")) return;
+
+                    const file = path + "/" + filename.split("\\").join("/");
+
+                    // Editors often fire several events for a single save
+                    clearTimeout(timeouts.get(file));
+                    timeouts.set(file, setTimeout(() => {
+                        timeouts.delete(file);
+                        this.__ensureCollections(kind);
+                        if (this.__reloadFile(kind, file) && (APPLICATION_COMMANDS.includes(kind) || (kind === "commands" && this.data.slash && (this.__loaded.commands.get(file) || {}).hybrid))) this.__syncCommands().catch(error => this.logger.error("Failed to deploy slash commands", { error }));
+                    }, 100));
+                }));
+
+                this.logger.debug("Watching " + path + " for changes");
+            } catch {}
+        }
+
+        return this;
+    }
+
+    /**
+     * Stops watching the folders started by `watch()`
+     * @returns {DiscordBot} Discord bot
+     */
+    unwatch() {
+        for (const watcher of this.__watchers) watcher.close();
+        this.__watchers = [];
+        return this;
+    }
+}
+
+/**
+ * Storage that keeps everything in memory. Other stores, such as `JSONStore`, have the same methods, so you can write your own store for any database. All methods return promises
+ */
+class MemoryStore {
+    /**
+     * Constructor for creating a memory store
+     * @returns {MemoryStore} Memory store
+     */
+    constructor() {
+        /**
+         * Internal data, by namespace and then by key. Each entry is `{ value, expires }`
+         */
+        this.__data = {};
+    }
+
+    /**
+     * Internal function for getting an entry, removing it if it has expired
+     * @param {String} namespace Namespace of the entry, e.g. `cooldowns`
+     * @param {String} key Key of the entry
+     * @returns {Object|undefined} The entry
+     */
+    __entry(namespace, key) {
+        const entries = this.__data[namespace];
+        if (!entries || !Object.prototype.hasOwnProperty.call(entries, key)) return;
+
+        const entry = entries[key];
+        if (entry.expires !== null && entry.expires <= Date.now()) {
+            this.__remove(namespace, key);
+            return;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Internal function for removing an entry
+     * @param {String} namespace Namespace of the entry
+     * @param {String} key Key of the entry
+     * @returns {Boolean} Whether there was an entry to remove
+     */
+    __remove(namespace, key) {
+        const entries = this.__data[namespace];
+        if (!entries || !Object.prototype.hasOwnProperty.call(entries, key)) return false;
+
+        delete entries[key];
+        if (Object.keys(entries).length < 1) delete this.__data[namespace];
+        return true;
+    }
+
+    /**
+     * Gets a value
+     * @param {String} namespace Namespace of the value, e.g. `cooldowns`
+     * @param {String} key Key of the value
+     * @returns {Promise<any>} The value, or `undefined` if there is none or it has expired
+     */
+    async get(namespace, key) {
+        const entry = this.__entry(namespace, key);
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Sets a value
+     * @param {String} namespace Namespace of the value, e.g. `cooldowns`
+     * @param {String} key Key of the value
+     * @param {any} value Value to store. Should be JSON serializable to work with every store
+     * @param {Number} ttl Time in milliseconds after which the value expires. Never expires if not given
+     * @returns {Promise<MemoryStore>} Store
+     */
+    async set(namespace, key, value, ttl) {
+        if (!this.__data[namespace]) this.__data[namespace] = {};
+        this.__data[namespace][key] = { value, expires: ttl ? Date.now() + ttl : null };
+        return this;
+    }
+
+    /**
+     * Deletes a value
+     * @param {String} namespace Namespace of the value, e.g. `cooldowns`
+     * @param {String} key Key of the value
+     * @returns {Promise<Boolean>} Whether there was a value to delete
+     */
+    async delete(namespace, key) {
+        return !!this.__entry(namespace, key) && this.__remove(namespace, key);
+    }
+
+    /**
+     * Checks whether there is a value
+     * @param {String} namespace Namespace of the value, e.g. `cooldowns`
+     * @param {String} key Key of the value
+     * @returns {Promise<Boolean>} Whether there is a value that hasn't expired
+     */
+    async has(namespace, key) {
+        return !!this.__entry(namespace, key);
+    }
+
+    /**
+     * Gets all keys in a namespace
+     * @param {String} namespace Namespace to get the keys of
+     * @returns {Promise<Array<String>>} Keys of the values that haven't expired
+     */
+    async keys(namespace) {
+        return Object.keys(this.__data[namespace] || {}).filter(key => !!this.__entry(namespace, key));
+    }
+
+    /**
+     * Deletes all values in a namespace
+     * @param {String} namespace Namespace to clear
+     * @returns {Promise<MemoryStore>} Store
+     */
+    async clear(namespace) {
+        delete this.__data[namespace];
+        return this;
+    }
+}
+
+/**
+ * Storage that keeps everything in a JSON file, so it isn't lost when the bot restarts. Writes are batched, so the file is written at most once every `saveDelay` milliseconds
+ */
+class JSONStore extends MemoryStore {
+    /**
+     * Constructor for creating a JSON file store
+     * @param {String} path Path to the JSON file. It is created if it doesn't exist
+     * @param {Object} options Store options. `saveDelay` is the time in milliseconds to wait before writing changes. Defaults to `1000`. `logger` is used for logging failed writes, and defaults to the logger of the bot using the store
+     * @returns {JSONStore} JSON file store
+     */
+    constructor(path, options = {}) {
+        super();
+
+        /**
+         * Path to the JSON file
+         */
+        this.path = path;
+        /**
+         * Time in milliseconds to wait before writing changes
+         */
+        this.saveDelay = typeof options.saveDelay === "number" ? options.saveDelay : 1000;
+        /**
+         * Logger for failed writes
+         */
+        this.logger = options.logger || null;
+        /**
+         * Internal timeout for the next write
+         */
+        this.__timeout = null;
+        /**
+         * Internal promise of the last write. Writes wait for the one before, so they never write the temporary file at the same time
+         */
+        this.__saving = Promise.resolve(this);
+
+        if (fs.existsSync(path)) this.__data = JSON.parse(fs.readFileSync(path, "utf8") || "{}");
+    }
+
+    async set(namespace, key, value, ttl) {
+        await super.set(namespace, key, value, ttl);
+        this.__scheduleSave();
+        return this;
+    }
+
+    async delete(namespace, key) {
+        const deleted = await super.delete(namespace, key);
+        if (deleted) this.__scheduleSave();
+        return deleted;
+    }
+
+    async clear(namespace) {
+        await super.clear(namespace);
+        this.__scheduleSave();
+        return this;
+    }
+
+    /**
+     * Internal function for writing the changes after `saveDelay`
+     */
+    __scheduleSave() {
+        if (this.__timeout) return;
+
+        this.__timeout = setTimeout(() => this.save().catch(error => (this.logger || console).error("Failed to save " + this.path, { error })), this.saveDelay);
+        if (this.__timeout.unref) this.__timeout.unref();
+    }
+
+    /**
+     * Writes all values to the JSON file right away, leaving out expired values
+     * @returns {Promise<JSONStore>} Store
+     */
+    save() {
+        clearTimeout(this.__timeout);
+        this.__timeout = null;
+
+        this.__saving = this.__saving.catch(() => {}).then(() => this.__write());
+        return this.__saving;
+    }
+
+    /**
+     * Internal function for writing all values to the JSON file, leaving out expired values
+     * @returns {Promise<JSONStore>} Store
+     */
+    async __write() {
+        const now = Date.now();
+        for (const namespace of Object.keys(this.__data)) {
+            for (const key of Object.keys(this.__data[namespace])) {
+                const expires = this.__data[namespace][key].expires;
+                if (expires !== null && expires <= now) this.__remove(namespace, key);
+            }
+        }
+
+        // Write to a temporary file first so the file is never left half written
+        await fs.promises.writeFile(this.path + ".tmp", JSON.stringify(this.__data));
+        await fs.promises.rename(this.path + ".tmp", this.path);
+
+        return this;
+    }
+
+    /**
+     * Writes any pending changes. Called when the bot logs out
+     * @returns {Promise<JSONStore>} Store
+     */
+    async close() {
+        if (this.__timeout) await this.save();
+        else await this.__saving;
+        return this;
+    }
+}
+
+/**
+ * Per-server settings, saved in a store under the `guild_settings` namespace
+ */
+class GuildSettings {
+    /**
+     * Constructor for creating the server settings
+     * @param {MemoryStore} store Store to save the settings in
+     * @returns {GuildSettings} Server settings
+     */
+    constructor(store) {
+        /**
+         * Store the settings are saved in
+         */
+        this.store = store;
+        /**
+         * Default settings of every server. `prefixes` is `null` to use `data.prefixes`, and `locale` is `null` to use `data.locale`
+         */
+        this.defaults = {
+            prefixes: null,
+            locale: null,
+            disabledCommands: [],
+            disabledCategories: [],
+            channels: {}
+        };
+    }
+
+    /**
+     * Gets all settings of a server
+     * @param {String} guild_id Server id
+     * @returns {Promise<Object>} Settings, with the defaults for anything that isn't set
+     */
+    async get(guild_id) {
+        return Object.assign(JSON.parse(JSON.stringify(this.defaults)), await this.store.get("guild_settings", guild_id) || {});
+    }
+
+    /**
+     * Sets a setting of a server
+     * @param {String} guild_id Server id
+     * @param {String} key Setting name, e.g. `prefixes`
+     * @param {any} value Setting value
+     * @returns {Promise<Object>} All settings of the server
+     */
+    async set(guild_id, key, value) {
+        const settings = await this.store.get("guild_settings", guild_id) || {};
+        settings[key] = value;
+        await this.store.set("guild_settings", guild_id, settings);
+        return this.get(guild_id);
+    }
+
+    /**
+     * Resets a setting of a server to its default, or all settings if no setting is given
+     * @param {String} guild_id Server id
+     * @param {String} key Setting name, e.g. `prefixes`
+     * @returns {Promise<Object>} All settings of the server
+     */
+    async reset(guild_id, key) {
+        if (!key) await this.store.delete("guild_settings", guild_id);
+        else {
+            const settings = await this.store.get("guild_settings", guild_id) || {};
+            delete settings[key];
+            await this.store.set("guild_settings", guild_id, settings);
+        }
+
+        return this.get(guild_id);
+    }
+
+    /**
+     * Internal function for adding or removing a name from a list setting of a server or one of its channels
+     * @param {String} guild_id Server id
+     * @param {String} key `disabledCommands` or `disabledCategories`
+     * @param {String} name Command or category name
+     * @param {String} channel_id Channel id. The whole server if not given
+     * @param {Boolean} add Whether to add or remove the name
+     * @returns {Promise<Object>} All settings of the server
+     */
+    async __toggle(guild_id, key, name, channel_id, add) {
+        const settings = await this.get(guild_id);
+        const target = channel_id ? settings.channels[channel_id] = settings.channels[channel_id] || {} : settings;
+        const list = (target[key] || []).filter(item => item !== name);
+
+        if (add) list.push(name);
+        target[key] = list;
+
+        return this.set(guild_id, channel_id ? "channels" : key, channel_id ? settings.channels : list);
+    }
+
+    /**
+     * Disables a command in a server or one of its channels
+     * @param {String} guild_id Server id
+     * @param {String} name Command name
+     * @param {String} channel_id Channel id. The whole server if not given
+     * @returns {Promise<Object>} All settings of the server
+     */
+    disableCommand(guild_id, name, channel_id) {
+        return this.__toggle(guild_id, "disabledCommands", name, channel_id, true);
+    }
+
+    /**
+     * Enables a command in a server or one of its channels again
+     * @param {String} guild_id Server id
+     * @param {String} name Command name
+     * @param {String} channel_id Channel id. The whole server if not given
+     * @returns {Promise<Object>} All settings of the server
+     */
+    enableCommand(guild_id, name, channel_id) {
+        return this.__toggle(guild_id, "disabledCommands", name, channel_id, false);
+    }
+
+    /**
+     * Disables a category of commands in a server or one of its channels
+     * @param {String} guild_id Server id
+     * @param {String} name Category name
+     * @param {String} channel_id Channel id. The whole server if not given
+     * @returns {Promise<Object>} All settings of the server
+     */
+    disableCategory(guild_id, name, channel_id) {
+        return this.__toggle(guild_id, "disabledCategories", name, channel_id, true);
+    }
+
+    /**
+     * Enables a category of commands in a server or one of its channels again
+     * @param {String} guild_id Server id
+     * @param {String} name Category name
+     * @param {String} channel_id Channel id. The whole server if not given
+     * @returns {Promise<Object>} All settings of the server
+     */
+    enableCategory(guild_id, name, channel_id) {
+        return this.__toggle(guild_id, "disabledCategories", name, channel_id, false);
+    }
+
+    /**
+     * Checks whether a command is disabled in a server or channel, either by itself or through its category
+     * @param {String} guild_id Server id
+     * @param {String} channel_id Channel id
+     * @param {Object} command Command to check
+     * @returns {Promise<Boolean>} Whether the command is disabled
+     */
+    async isDisabled(guild_id, channel_id, command) {
+        const settings = await this.get(guild_id);
+        const channel = settings.channels[channel_id] || {};
+
+        for (const target of [settings, channel]) {
+            if ((target.disabledCommands || []).includes(command.name)) return true;
+            if (command.category && (target.disabledCategories || []).includes(command.category)) return true;
+        }
+
+        return false;
+    }
+}
+
+/**
+ * Asks the user who used a command for more input. Works for both prefix and slash commands, and is available as `context.prompt`.
+ * Every question resolves to `null` when the user cancels it, doesn't answer in time or gives too many invalid answers, after sending the `prompt_cancelled`, `prompt_timeout` or `prompt_retries` response
+ */
+class Prompt {
+    /**
+     * Constructor for creating a prompt
+     * @param {DiscordBot} bot Discord bot
+     * @param {Object} context Context of the command with the message or interaction and locale
+     * @returns {Prompt} Prompt
+     */
+    constructor(bot, context) {
+        /**
+         * Discord bot
+         */
+        this.bot = bot;
+        /**
+         * Context of the command. After `modal()`, `context.interaction` is the modal submit interaction
+         */
+        this.context = context;
+    }
+
+    /**
+     * User who is asked the questions
+     */
+    get user() {
+        return this.bot.__author(this.context.interaction || this.context.message);
+    }
+
+    /**
+     * Internal function for sending a question or response
+     * @param {String|MessageEmbed|Object} question Text, embed or message options
+     * @returns {Promise<Message>} The sent message
+     */
+    __send(question) {
+        const interaction = this.context.interaction;
+        const options = this.bot.__page(question);
+
+        if (!interaction) return this.context.message.channel.send(options);
+        if (this.bot.__deferredReply(interaction)) return interaction.editReply(options);
+        if (interaction.replied || interaction.deferred) return interaction.followUp(Object.assign({ fetchReply: true }, options));
+        return interaction.reply(Object.assign({ fetchReply: true }, options));
+    }
+
+    /**
+     * Internal function for asking a question until it gets a valid answer
+     * @param {Function} ask Async function asking the question once, given the attempt number. Resolves to the answer, `PROMPT_TIMEOUT` or `PROMPT_CANCEL`
+     * @param {Object} options `validate(answer)` function returning `true`, or `false` or an error text for invalid answers, and `retries` (defaults to 2)
+     * @returns {Promise} Answer, or `null`
+     */
+    async __ask(ask, options = {}) {
+        const retries = typeof options.retries === "number" ? options.retries : 2;
+
+        for (var attempt = 0; ; attempt++) {
+            const answer = await ask(attempt);
+            if (answer === PROMPT_TIMEOUT) return this.__end("prompt_timeout");
+            if (answer === PROMPT_CANCEL) return this.__end("prompt_cancelled");
+            if (!options.validate) return answer;
+
+            const valid = await options.validate(answer);
+            if (valid === true) return answer;
+            if (attempt >= retries) return this.__end("prompt_retries");
+
+            await this.__send(typeof valid === "string" ? valid : this.bot.__text("prompt_invalid", {}, this.context.locale));
+        }
+    }
+
+    /**
+     * Internal function for ending a prompt with a response
+     * @param {String} response Response name
+     * @returns {Promise<null>}
+     */
+    async __end(response) {
+        await this.bot.respond(this.context.interaction || this.context.message, response, { locale: this.context.locale }).catch(error => this.bot.logger.error("Failed to send the " + response + " response", { error }));
+        return null;
+    }
+
+    /**
+     * Internal function for waiting on a button, select menu or modal with a `PROMPT_ID` custom ID
+     * @param {Object} options `timeout` in milliseconds, defaults to 60000
+     * @returns {Object} Session `id` and `answer` promise, resolving to the interaction or `null` on timeout
+     */
+    __wait(options = {}) {
+        const id = crypto.randomBytes(6).toString("hex");
+        const answer = new Promise(resolve => {
+            const done = interaction => {
+                clearTimeout(timer);
+                this.bot.__prompts.delete(id);
+                resolve(interaction);
+            };
+            const timer = setTimeout(() => done(null), options.timeout || 60000);
+
+            this.bot.__prompts.set(id, { user: this.user.id, answer: done, cancel: () => done(null) });
+        });
+
+        return { id, answer };
+    }
+
+    /**
+     * Internal function for removing the components of a question once it's answered or timed out
+     * @param {Message} sent Message with the question
+     * @param {Interaction} interaction Interaction that answered the question, if any
+     * @returns {Promise}
+     */
+    __close(sent, interaction) {
+        if (interaction) return interaction.update({ components: [] }).catch(error => this.bot.logger.error("Failed to close a prompt", { error }));
+        if (sent && typeof sent.edit === "function") return sent.edit({ components: [] }).catch(() => {});
+    }
+
+    /**
+     * Asks a question the user answers with a message. Sending one of the `cancel` words cancels it
+     * @param {String|MessageEmbed|Object} question Text, embed or message options
+     * @param {Object} options `timeout` (milliseconds, defaults to 60000), `cancel` (words, defaults to `["cancel"]`), `validate(answer)` and `retries`
+     * @returns {Promise<String>} Content of the answer, or `null`
+     */
+    text(question, options = {}) {
+        const cancel = [].concat(options.cancel || ["cancel"]).map(word => word.toLowerCase());
+        const channel = (this.context.interaction || this.context.message).channel;
+
+        return this.__ask(async attempt => {
+            if (attempt === 0) await this.__send(question);
+
+            const collected = await channel.awaitMessages({
+                filter: message => message.author.id === this.user.id,
+                max: 1,
+                time: options.timeout || 60000
+            });
+            const message = collected.first();
+
+            if (!message) return PROMPT_TIMEOUT;
+            if (cancel.includes(message.content.trim().toLowerCase())) return PROMPT_CANCEL;
+            return message.content;
+        }, options);
+    }
+
+    /**
+     * Asks a yes or no question with buttons
+     * @param {String|MessageEmbed|Object} question Text, embed or message options
+     * @param {Object} options `timeout` (milliseconds, defaults to 60000), `yes` and `no` (button labels)
+     * @returns {Promise<Boolean>} Whether the user answered yes, or `null`
+     */
+    confirm(question, options = {}) {
+        const t = key => this.bot.__text(key, {}, this.context.locale);
+
+        return this.__ask(async () => {
+            const { id, answer } = this.__wait(options);
+            const row = new this.bot.compat.ActionRow().addComponents(
+                new this.bot.compat.Button().setCustomId(this.bot.customId(PROMPT_ID, { session: id, action: "yes" })).setLabel(options.yes || t("prompt_yes")).setStyle("SUCCESS"),
+                new this.bot.compat.Button().setCustomId(this.bot.customId(PROMPT_ID, { session: id, action: "no" })).setLabel(options.no || t("prompt_no")).setStyle("DANGER")
+            );
+
+            const sent = await this.__send(Object.assign(this.bot.__page(question), { components: [row] }));
+            const interaction = await answer;
+            await this.__close(sent, interaction);
+
+            if (!interaction) return PROMPT_TIMEOUT;
+            return interaction.customId.endsWith(":yes");
+        }, options);
+    }
+
+    /**
+     * Asks the user to choose from a select menu, with a button to cancel
+     * @param {String|MessageEmbed|Object} question Text, embed or message options
+     * @param {Array} choices Up to 25 strings or objects with a `label`, `value` and optional `description`
+     * @param {Object} options `timeout` (milliseconds, defaults to 60000), `placeholder`, `min` and `max` (number of choices, when more than 1 an array is returned), `validate(answer)` and `retries`
+     * @returns {Promise} Value of the choice, or `null`
+     */
+    choose(question, choices, options = {}) {
+        const t = key => this.bot.__text(key, {}, this.context.locale);
+        choices = choices.slice(0, 25).map(choice => typeof choice === "object" ? choice : { label: String(choice), value: choice });
+
+        return this.__ask(async () => {
+            const { id, answer } = this.__wait(options);
+            const menu = new this.bot.compat.SelectMenu()
+                .setCustomId(this.bot.customId(PROMPT_ID, { session: id, action: "choose" }))
+                .setPlaceholder(options.placeholder || t("prompt_choose"))
+                .addOptions(choices.map(choice => {
+                    const option = { label: String(choice.label), value: String(choice.value) };
+                    if (choice.description) option.description = choice.description;
+                    return option;
+                }));
+
+            if (options.min) menu.setMinValues(options.min);
+            if (options.max) menu.setMaxValues(Math.min(options.max, choices.length));
+
+            const sent = await this.__send(Object.assign(this.bot.__page(question), {
+                components: [
+                    new this.bot.compat.ActionRow().addComponents(menu),
+                    new this.bot.compat.ActionRow().addComponents(
+                        new this.bot.compat.Button().setCustomId(this.bot.customId(PROMPT_ID, { session: id, action: "cancel" })).setLabel(t("prompt_cancel")).setStyle("SECONDARY")
+                    )
+                ]
+            }));
+            const interaction = await answer;
+            await this.__close(sent, interaction);
+
+            if (!interaction) return PROMPT_TIMEOUT;
+            if (interaction.customId.endsWith(":cancel")) return PROMPT_CANCEL;
+
+            const values = interaction.values.map(value => {
+                const choice = choices.find(choice => String(choice.value) === value);
+                return choice ? choice.value : value;
+            });
+
+            return options.max > 1 ? values : values[0];
+        }, options);
+    }
+
+    /**
+     * Shows a modal with text inputs. Interactions can only show a modal before they are replied to or deferred, so for messages and answered interactions every field is asked with `text()` instead.
+     * After the modal is submitted, `context.interaction` is the modal submit interaction, which should be used for replying
+     * @param {Object} modal Modal with a `title` and `fields`, which have an `id`, `label` and optional `style` (`SHORT` or `PARAGRAPH`), `placeholder`, `value`, `required`, `minLength` and `maxLength`
+     * @param {Object} options `timeout` (milliseconds, defaults to 60000) and `validate(values)`
+     * @returns {Promise<Object>} Values of the fields by their `id`, or `null`
+     */
+    async modal(modal, options = {}) {
+        const interaction = this.context.interaction;
+
+        if (!interaction || interaction.replied || interaction.deferred || typeof interaction.showModal !== "function") {
+            const values = {};
+
+            for (const field of modal.fields) {
+                const value = await this.text(field.label, options);
+                if (value === null) return null;
+                values[field.id] = value;
+            }
+
+            return this.__ask(async () => values, Object.assign({}, options, { retries: 0 }));
+        }
+
+        // A submitted modal can't be shown again, so invalid values can't be retried
+        return this.__ask(async () => {
+            const { id, answer } = this.__wait(options);
+            const form = new this.bot.compat.Modal()
+                .setCustomId(this.bot.customId(PROMPT_ID, { session: id, action: "modal" }))
+                .setTitle(modal.title)
+                .addComponents(modal.fields.map(field => {
+                    const input = new this.bot.compat.TextInput()
+                        .setCustomId(field.id)
+                        .setLabel(field.label)
+                        .setStyle(field.style || "SHORT")
+                        .setRequired(field.required !== false);
+
+                    if (field.placeholder) input.setPlaceholder(field.placeholder);
+                    if (field.value) input.setValue(field.value);
+                    if (field.minLength) input.setMinLength(field.minLength);
+                    if (field.maxLength) input.setMaxLength(field.maxLength);
+
+                    return new this.bot.compat.ActionRow().addComponents(input);
+                }));
+
+            await interaction.showModal(form);
+            const submitted = await answer;
+            if (!submitted) return PROMPT_TIMEOUT;
+
+            this.context.interaction = submitted;
+
+            const values = {};
+            for (const field of modal.fields) values[field.id] = submitted.fields.getTextInputValue(field.id);
+            return values;
+        }, Object.assign({}, options, { retries: 0 }));
+    }
+
+    /**
+     * Creates a wizard asking several questions in a row
+     * @returns {Wizard} Wizard
+     */
+    wizard() {
+        return new Wizard(this);
+    }
+}
+
+/**
+ * Asks several questions in a row with a `Prompt`, e.g.
+ * ```js
+ * const answers = await context.prompt.wizard()
+ *     .text("name", "What should the poll be called?", { validate: name => name.length <= 100 || "That name is too long" })
+ *     .choose("channel", "Where should it be posted?", channels)
+ *     .confirm("ping", answers => "Ping everyone for " + answers.name + "?")
+ *     .run();
+ * ```
+ */
+class Wizard {
+    /**
+     * Constructor for creating a wizard
+     * @param {Prompt} prompt Prompt to ask the questions with
+     * @returns {Wizard} Wizard
+     */
+    constructor(prompt) {
+        /**
+         * Prompt the questions are asked with
+         */
+        this.prompt = prompt;
+        /**
+         * List of steps
+         */
+        this.steps = [];
+    }
+
+    /**
+     * Adds a custom step. Questions, choices and modals of the other steps can also be functions given the answers so far
+     * @param {String} name Name of the answer
+     * @param {Function} ask Async function given the prompt, answers so far and options, resolving to the answer or `null` to stop the wizard
+     * @param {Object} options Options for the step: `when(answers)` to skip the step when it returns false, `validate(answer, answers)` and the options of the question
+     * @returns {Wizard} Wizard
+     */
+    step(name, ask, options = {}) {
+        this.steps.push({ name, ask, options });
+        return this;
+    }
+
+    /**
+     * Adds a step asking with `Prompt.text()`
+     * @param {String} name Name of the answer
+     * @param {String|Function} question Question, or function given the answers so far
+     * @param {Object} options Options for the step
+     * @returns {Wizard} Wizard
+     */
+    text(name, question, options = {}) {
+        return this.step(name, (prompt, answers, options) => prompt.text(this.__value(question, answers), options), options);
+    }
+
+    /**
+     * Adds a step asking with `Prompt.confirm()`
+     * @param {String} name Name of the answer
+     * @param {String|Function} question Question, or function given the answers so far
+     * @param {Object} options Options for the step
+     * @returns {Wizard} Wizard
+     */
+    confirm(name, question, options = {}) {
+        return this.step(name, (prompt, answers, options) => prompt.confirm(this.__value(question, answers), options), options);
+    }
+
+    /**
+     * Adds a step asking with `Prompt.choose()`
+     * @param {String} name Name of the answer
+     * @param {String|Function} question Question, or function given the answers so far
+     * @param {Array|Function} choices Choices, or function given the answers so far
+     * @param {Object} options Options for the step
+     * @returns {Wizard} Wizard
+     */
+    choose(name, question, choices, options = {}) {
+        return this.step(name, async (prompt, answers, options) => prompt.choose(this.__value(question, answers), await this.__value(choices, answers), options), options);
+    }
+
+    /**
+     * Adds a step asking with `Prompt.modal()`
+     * @param {String} name Name of the answer
+     * @param {Object|Function} modal Modal, or function given the answers so far
+     * @param {Object} options Options for the step
+     * @returns {Wizard} Wizard
+     */
+    modal(name, modal, options = {}) {
+        return this.step(name, (prompt, answers, options) => prompt.modal(this.__value(modal, answers), options), options);
+    }
+
+    /**
+     * Internal function for getting a value that can be a function of the answers so far
+     * @param {*} value Value or function
+     * @param {Object} answers Answers so far
+     * @returns {*} Value
+     */
+    __value(value, answers) {
+        return typeof value === "function" ? value(answers) : value;
+    }
+
+    /**
+     * Asks all the questions in order
+     * @returns {Promise<Object>} Answers by the name of their step, or `null` when a question was cancelled, timed out or had too many invalid answers
+     */
+    async run() {
+        const answers = {};
+
+        for (const step of this.steps) {
+            if (step.options.when && !await step.options.when(answers)) continue;
+
+            const options = Object.assign({}, step.options);
+            if (step.options.validate) options.validate = answer => step.options.validate(answer, answers);
+
+            const answer = await step.ask(this.prompt, answers, options);
+            if (answer === null) return null;
+            answers[step.name] = answer;
+        }
+
+        return answers;
+    }
+}
+
+/**
+ * Logger with levels and structured fields. Every entry at or above its `level` is written to its transports. Entries are objects with a `time`, `level`, `message` and the fields, e.g. `command`, `guild`, `user`, `duration` and `error`
+ */
+class Logger {
+    /**
+     * Constructor for creating a logger
+     * @param {Object} options `level` (`debug`, `info`, `warn`, `error` or `silent`, defaults to `info`), `transports` (defaults to the console) and `fields` added to every entry
+     * @returns {Logger} Logger
+     */
+    constructor(options = {}) {
+        /**
+         * Lowest level that is logged
+         */
+        this.level = options.level || "info";
+        /**
+         * Transports the entries are written to. Either objects with a `log(entry)` function and an optional `level`, or functions given each entry
+         */
+        this.transports = options.transports || [new ConsoleTransport()];
+        /**
+         * Fields added to every entry
+         */
+        this.fields = options.fields || {};
+    }
+
+    /**
+     * Logs an entry
+     * @param {String} level `debug`, `info`, `warn` or `error`
+     * @param {String} message Message to log
+     * @param {Object} fields Structured fields, e.g. `command`, `guild`, `user`, `duration` and `error`
+     * @returns {Logger} Logger
+     */
+    log(level, message, fields = {}) {
+        if (!(LOG_LEVELS[level] >= LOG_LEVELS[this.level])) return this;
+
+        const entry = Object.assign({ time: new Date().toISOString(), level, message }, this.fields, fields);
+
+        for (const transport of this.transports) {
+            if (transport.level && LOG_LEVELS[level] < LOG_LEVELS[transport.level]) continue;
+
+            // A broken transport shouldn't break the bot, so the console is the last resort
+            try { typeof transport === "function" ? transport(entry) : transport.log(entry); }
+            catch (error) { console.error(error); }
+        }
+
+        return this;
+    }
+
+    /**
+     * Logs a debug entry
+     * @param {String} message Message to log
+     * @param {Object} fields Structured fields
+     * @returns {Logger} Logger
+     */
+    debug(message, fields) { return this.log("debug", message, fields); }
+
+    /**
+     * Logs an info entry
+     * @param {String} message Message to log
+     * @param {Object} fields Structured fields
+     * @returns {Logger} Logger
+     */
+    info(message, fields) { return this.log("info", message, fields); }
+
+    /**
+     * Logs a warning entry
+     * @param {String} message Message to log
+     * @param {Object} fields Structured fields
+     * @returns {Logger} Logger
+     */
+    warn(message, fields) { return this.log("warn", message, fields); }
+
+    /**
+     * Logs an error entry
+     * @param {String} message Message to log
+     * @param {Object} fields Structured fields
+     * @returns {Logger} Logger
+     */
+    error(message, fields) { return this.log("error", message, fields); }
+
+    /**
+     * Creates a logger with the same level and transports that adds more fields to every entry
+     * @param {Object} fields Fields to add
+     * @returns {Logger} Child logger
+     */
+    child(fields) {
+        return new Logger({ level: this.level, transports: this.transports, fields: Object.assign({}, this.fields, fields) });
+    }
+}
+
+/**
+ * Writes log entries to the console as text, or as JSON when `json` is on
+ */
+class ConsoleTransport {
+    /**
+     * Constructor for creating a console transport
+     * @param {Object} options `level` and `json`
+     * @returns {ConsoleTransport} Console transport
+     */
+    constructor(options = {}) {
+        this.level = options.level || null;
+        this.json = options.json || false;
+    }
+
+    /**
+     * Writes an entry
+     * @param {Object} entry Log entry
+     */
+    log(entry) {
+        const method = entry.level === "error" ? "error" : entry.level === "warn" ? "warn" : "log";
+        console[method](this.json ? serializeEntry(entry) : formatEntry(entry));
+    }
+}
+
+/**
+ * Writes log entries to a file as JSON lines, or as text when `json` is off. The file is rotated when it gets bigger than `maxSize`, keeping `maxFiles` old files named `<path>.1`, `<path>.2` and so on
+ */
+class FileTransport {
+    /**
+     * Constructor for creating a file transport
+     * @param {String} path Path to the log file
+     * @param {Object} options `level`, `json` (defaults to `true`), `maxSize` (bytes, defaults to 10 MB, `0` to never rotate) and `maxFiles` (defaults to `5`)
+     * @returns {FileTransport} File transport
+     */
+    constructor(path, options = {}) {
+        this.path = path;
+        this.level = options.level || null;
+        this.json = options.json !== false;
+        this.maxSize = typeof options.maxSize === "number" ? options.maxSize : 10 * 1024 * 1024;
+        this.maxFiles = typeof options.maxFiles === "number" ? options.maxFiles : 5;
+        /**
+         * Internal size of the current file, read when the first entry is written
+         */
+        this.__size = null;
+    }
+
+    /**
+     * Writes an entry
+     * @param {Object} entry Log entry
+     */
+    log(entry) {
+        const line = (this.json ? serializeEntry(entry) : formatEntry(entry)) + "\n";
+        this.__rotate(Buffer.byteLength(line));
+        fs.appendFileSync(this.path, line);
+    }
+
+    /**
+     * Internal function for rotating the file when the next line would make it too big
+     * @param {Number} bytes Size of the next line
+     */
+    __rotate(bytes) {
+        if (this.__size === null) {
+            try { this.__size = fs.statSync(this.path).size; }
+            catch { this.__size = 0; }
+        }
+
+        if (this.maxSize && this.__size > 0 && this.__size + bytes > this.maxSize) {
+            // Renaming over the oldest file removes it
+            for (var i = this.maxFiles - 1; i > 0; i--) {
+                try { fs.renameSync(this.path + "." + i, this.path + "." + (i + 1)); }
+                catch {}
+            }
+
+            if (this.maxFiles > 0) fs.renameSync(this.path, this.path + ".1");
+            else fs.unlinkSync(this.path);
+            this.__size = 0;
+        }
+
+        this.__size += bytes;
+    }
+}
+
+/**
+ * Writes log entries as JSON lines to a stream, e.g. for log collectors reading the standard output
+ */
+class JSONTransport {
+    /**
+     * Constructor for creating a JSON lines transport
+     * @param {Object} options `level` and `stream` (defaults to `process.stdout`)
+     * @returns {JSONTransport} JSON lines transport
+     */
+    constructor(options = {}) {
+        this.level = options.level || null;
+        this.stream = options.stream || process.stdout;
+    }
+
+    /**
+     * Writes an entry
+     * @param {Object} entry Log entry
+     */
+    log(entry) {
+        this.stream.write(serializeEntry(entry) + "\n");
+    }
+}
+
+/**
+ * Scheduled task from the `tasks` folder that runs on a cron expression or an interval. Available as `bot.tasks.get(name)`
+ */
+class Task {
+    /**
+     * Constructor for creating a task. Throws if the task doesn't have a valid `cron` expression, `interval` or `timezone`
+     * @param {DiscordBot} bot Discord bot
+     * @param {Object} module Task module with a `name`, a `cron` expression or an `interval`, and `execute(bot, task)`
+     * @returns {Task} Task
+     */
+    constructor(bot, module) {
+        const schedule = taskSchedule(module);
+
+        /**
+         * Discord bot
+         */
+        this.bot = bot;
+        /**
+         * Loaded task module
+         */
+        this.module = module;
+        /**
+         * Name of the task
+         */
+        this.name = module.name;
+        /**
+         * Parsed cron expression, or `null` for interval tasks
+         */
+        this.cron = schedule.cron;
+        /**
+         * Interval in milliseconds, or `null` for cron tasks
+         */
+        this.interval = schedule.interval;
+        /**
+         * Timezone the cron expression is in, or `null` for the timezone of the system
+         */
+        this.timezone = module.timezone || bot.data.timezone || null;
+        /**
+         * Whether the task is started
+         */
+        this.active = false;
+        /**
+         * Whether the task is running right now
+         */
+        this.running = false;
+        /**
+         * When the task last started running
+         */
+        this.lastRun = null;
+        /**
+         * When the task runs next, or `null` if it is stopped
+         */
+        this.nextRun = null;
+        /**
+         * Internal timer of the next run
+         */
+        this.__timer = null;
+    }
+
+    /**
+     * Starts running the task on its schedule, and right away if `runOnStart` is on
+     * @returns {Task} Task
+     */
+    start() {
+        if (this.active) return this;
+
+        this.active = true;
+        this.__schedule();
+        if (this.module.runOnStart) this.run();
+
+        return this;
+    }
+
+    /**
+     * Stops running the task on its schedule
+     * @returns {Task} Task
+     */
+    stop() {
+        this.active = false;
+        clearTimeout(this.__timer);
+        this.__timer = null;
+        this.nextRun = null;
+        return this;
+    }
+
+    /**
+     * Runs the task once. Errors are handled by the bot like errors of commands
+     * @returns {Promise<Boolean>} Whether the task ran successfully. `false` if it failed or was already running
+     */
+    async run() {
+        if (this.running) {
+            this.bot.logger.warn("Task " + this.name + " is still running, skipping this run", { task: this.name });
+            return false;
+        }
+
+        const start = Date.now();
+        this.running = true;
+        this.lastRun = new Date(start);
+
+        try {
+            await this.module.execute(this.bot, this);
+            this.bot.logger.debug("Ran task " + this.name, { task: this.name, duration: Date.now() - start });
+            return true;
+        } catch (error) {
+            await this.bot.__handleError(error, { kind: "task", name: this.name, duration: Date.now() - start });
+            return false;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Internal function for setting the timer of the next run
+     * @param {Date} next When to run next. Calculated from the schedule if not given
+     */
+    __schedule(next) {
+        if (!this.active) return;
+
+        this.nextRun = next || (this.interval ? new Date(Date.now() + this.interval) : nextCron(this.cron, new Date(Date.now()), this.timezone));
+
+        // Timers can't wait longer than about 24 days, so longer waits are split up
+        this.__timer = setTimeout(() => {
+            if (Date.now() < this.nextRun.getTime()) return this.__schedule(this.nextRun);
+            this.__schedule();
+            this.run();
+        }, Math.min(Math.max(this.nextRun.getTime() - Date.now(), 0), 2147483647));
+    }
+}
+
+/**
+ * Adapter for the differences between discord.js v13 and v14, available as `bot.compat`. Names like `RED`, `KICK_MEMBERS`, `PLAYING` and `SECONDARY` are turned into what the installed version expects, and the other way around, so the same config and modules work on both. Modules can use it to build messages that work on both versions too. Example:
+ * ```javascript
+ * const embed = new context.bot.compat.Embed().setColor("GREEN").addField("Level", "5");
+ * const row = new context.bot.compat.ActionRow().addComponents(new context.bot.compat.Button().setCustomId("ok").setLabel("OK").setStyle("PRIMARY"));
+ * ```
+ */
+class DiscordCompat {
+    /**
+     * Constructor for creating the adapter
+     * @param {Object} discord Discord API
+     * @returns {DiscordCompat} Adapter
+     */
+    constructor(discord) {
+        const compat = this;
+
+        /**
+         * Discord API
+         */
+        this.discord = discord;
+        /**
+         * Major version of discord.js, from its `version`, or guessed from its classes
+         */
+        this.version = parseInt(String(discord.version || "").split(".")[0]) || (typeof discord.EmbedBuilder === "function" ? 14 : 13);
+        /**
+         * Whether discord.js v14 or newer is used
+         */
+        this.modern = this.version >= 14;
+
+        if (!this.modern) {
+            /**
+             * Embed class. On v14 it is an `EmbedBuilder` that also has `addField()` and accepts v13 color names
+             */
+            this.Embed = discord.MessageEmbed;
+            /**
+             * Action row class
+             */
+            this.ActionRow = discord.MessageActionRow;
+            /**
+             * Button class. Accepts both v13 and v14 style names
+             */
+            this.Button = discord.MessageButton ? class extends discord.MessageButton {
+                setStyle(style) { return super.setStyle(compat.__name(style)); }
+            } : undefined;
+            /**
+             * Select menu class with text options
+             */
+            this.SelectMenu = discord.MessageSelectMenu;
+            /**
+             * Modal class. Modals were added in discord.js v13.7
+             */
+            this.Modal = discord.Modal;
+            /**
+             * Text input class of modals. Accepts both v13 and v14 style names
+             */
+            this.TextInput = discord.TextInputComponent ? class extends discord.TextInputComponent {
+                setStyle(style) { return super.setStyle(compat.__name(style)); }
+            } : undefined;
+            /**
+             * Pattern matching user mentions
+             */
+            this.mentionPattern = (discord.MessageMentions || {}).USERS_PATTERN;
+            return;
+        }
+
+        this.Embed = class extends discord.EmbedBuilder {
+            setColor(color) { return super.setColor(compat.__name(color)); }
+            addField(name, value, inline = false) { return this.addFields({ name, value, inline }); }
+        };
+        this.ActionRow = discord.ActionRowBuilder;
+        this.Button = class extends discord.ButtonBuilder {
+            setStyle(style) { return super.setStyle(compat.__enum("ButtonStyle", style)); }
+        };
+        // StringSelectMenuBuilder was added in v14.7, before that it was SelectMenuBuilder
+        this.SelectMenu = discord.StringSelectMenuBuilder || discord.SelectMenuBuilder;
+        this.Modal = discord.ModalBuilder;
+        this.TextInput = class extends discord.TextInputBuilder {
+            setStyle(style) { return super.setStyle(compat.__enum("TextInputStyle", style)); }
+        };
+        this.mentionPattern = (discord.MessageMentions || {}).UsersPattern;
+    }
+
+    /**
+     * Internal function for turning a name into the naming of the installed version: `KICK_MEMBERS` on v13 and `KickMembers` on v14. Other values, like numbers and hex colors, are kept
+     * @param {*} value Name
+     * @returns {*} Name for the installed version
+     */
+    __name(value) {
+        if (typeof value !== "string" || !/^[A-Za-z][A-Za-z0-9_]*$/.test(value)) return value;
+        if (!this.modern) return /[a-z]/.test(value) ? value.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase() : value;
+        if (!/^[A-Z0-9_]+$/.test(value)) return value;
+        return value.toLowerCase().split("_").map(word => word.charAt(0).toUpperCase() + word.slice(1)).join("");
+    }
+
+    /**
+     * Internal function for turning a name into a value of a v14 enum, e.g. `SECONDARY` into `ButtonStyle.Secondary`. On v13 the name is kept
+     * @param {String} enumName Name of the enum in discord.js, e.g. `ButtonStyle`
+     * @param {*} value Name or value
+     * @returns {*} Value for the installed version
+     */
+    __enum(enumName, value) {
+        const name = this.__name(value);
+        const values = this.discord[enumName];
+        if (!this.modern || !values || typeof name !== "string" || typeof values[name] === "undefined") return name;
+        return values[name];
+    }
+
+    /**
+     * Turns permission names into the names of the installed version
+     * @param {String|Array<String>} permissions Permission or permissions, e.g. `KICK_MEMBERS` or `KickMembers`
+     * @returns {String|Array<String>} Permissions in the same shape
+     */
+    permissions(permissions) {
+        const convert = permission => {
+            if (this.modern && PERMISSION_NAMES[permission]) return PERMISSION_NAMES[permission];
+            const renamed = Object.keys(PERMISSION_NAMES).find(name => PERMISSION_NAMES[name] === permission);
+            if (!this.modern && renamed) return renamed;
+            return this.__name(permission);
+        };
+
+        return Array.isArray(permissions) ? permissions.map(convert) : convert(permissions);
+    }
+
+    /**
+     * Turns an activity type like `PLAYING` into the type of the installed version
+     * @param {String|Number} type Activity type
+     * @returns {String|Number} Activity type
+     */
+    activityType(type) {
+        return this.__enum("ActivityType", type);
+    }
+
+    /**
+     * Turns the intents and partials of client options given by name into the values of the installed version
+     * @param {Object} options Client options
+     * @returns {Object} Client options
+     */
+    clientOptions(options) {
+        if (!options || typeof options !== "object" || Array.isArray(options)) return options;
+
+        const converted = Object.assign({}, options);
+        if (Array.isArray(options.intents)) converted.intents = options.intents.map(intent => this.__enum("GatewayIntentBits", intent));
+        if (Array.isArray(options.partials)) converted.partials = options.partials.map(partial => this.__enum("Partials", partial));
+
+        return converted;
+    }
+
+    /**
+     * Copies an embed, so the copy can be changed without changing the original
+     * @param {MessageEmbed|EmbedBuilder|Object} embed Embed or embed data
+     * @returns {MessageEmbed|EmbedBuilder} Copy of the embed
+     */
+    cloneEmbed(embed) {
+        return new this.Embed(embed && typeof embed.toJSON === "function" ? embed.toJSON() : embed);
+    }
+
+    /**
+     * Checks whether a channel is a DM channel. v13 uses `DM` as the channel type and v14 uses `ChannelType.DM`
+     * @param {Channel} channel Channel to check
+     * @returns {Boolean} Whether it is a DM channel
+     */
+    isDM(channel) {
+        if (!channel) return false;
+        if (this.modern && this.discord.ChannelType && channel.type === this.discord.ChannelType.DM) return true;
+        return typeof channel.type === "string" && channel.type.toUpperCase() === "DM";
+    }
+
+    /**
+     * Checks whether something is an embed built with this or the other version, or received from Discord
+     * @param {*} value Value to check
+     * @returns {Boolean} Whether it is an embed
+     */
+    isEmbed(value) {
+        return ["MessageEmbed", "EmbedBuilder", "Embed"].some(name => typeof this.discord[name] === "function" && value instanceof this.discord[name]);
+    }
+
+    /**
+     * Gets the type of an interaction, using the checks of the installed version
+     * @param {Interaction} interaction Interaction
+     * @returns {String|null} `autocomplete`, `context`, `command`, `button`, `select`, `modal` or `null`
+     */
+    interactionType(interaction) {
+        const is = (...checks) => checks.some(check => typeof interaction[check] === "function" && interaction[check]());
+
+        if (is("isAutocomplete")) return "autocomplete";
+        if (is("isContextMenuCommand", "isContextMenu")) return "context";
+        if (typeof interaction.isChatInputCommand === "function" ? interaction.isChatInputCommand() : is("isCommand")) return "command";
+        if (is("isButton")) return "button";
+        if (is("isAnySelectMenu", "isSelectMenu")) return "select";
+        if (is("isModalSubmit")) return "modal";
+        return null;
+    }
+}
+
+/**
+ * Plugin added with `bot.plugin()`. Available as `bot.plugins.get(name)`, and as `context.plugin` in its own commands, slash commands, context menus, buttons, select menus and modals
+ */
+class Plugin {
+    /**
+     * Constructor for creating a plugin
+     * @param {DiscordBot} bot Discord bot
+     * @param {Object} module Plugin module with a `name`, and optionally `defaults`, `commands`, `slash`, `contexts`, `events`, `buttons`, `selects`, `modals`, `tasks`, `responses`, `middleware`, `onLoad`, `onReady` and `onUnload`
+     * @param {Object} options Config of the plugin
+     * @returns {Plugin} Plugin
+     */
+    constructor(bot, module, options = {}) {
+        if (!module || typeof module !== "object" || !module.name) throw new TypeError("A plugin must be an object with a name");
+
+        /**
+         * Discord bot
+         */
+        this.bot = bot;
+        /**
+         * Plugin module
+         */
+        this.module = module;
+        /**
+         * Name of the plugin
+         */
+        this.name = module.name;
+        /**
+         * Config of the plugin, from its `defaults`, `data.pluginOptions[name]` and the options given to `bot.plugin()`
+         */
+        this.config = Object.assign({}, module.defaults || {}, (bot.data.pluginOptions || {})[module.name] || {}, options);
+        /**
+         * Whether everything of the plugin is registered on the bot
+         */
+        this.loaded = false;
+        /**
+         * Internal list of the kinds and keys the modules of the plugin are registered under
+         */
+        this.__files = [];
+    }
+
+    /**
+     * Registers everything of the plugin on the bot and runs `onLoad`, and `onReady` if the bot is ready. Throws if something of the plugin already exists
+     * @returns {Plugin} Plugin
+     */
+    load() {
+        if (this.loaded) return this;
+
+        const collisions = this.__collisions();
+        if (collisions.length > 0) throw new Error("Plugin " + this.name + " clashes with the existing " + collisions.join(", "));
+
+        try {
+            for (const kind of Object.keys(KINDS)) {
+                if (APPLICATION_COMMANDS.includes(kind) && !this.bot.data.slash) continue;
+
+                this.bot.__ensureCollections(kind);
+
+                (this.module[kind] || []).forEach((module, index) => {
+                    // The index keeps the keys apart when a plugin has more than one module with the same name, like two listeners of an event
+                    const file = PLUGIN_FILE + this.name + "/" + kind + "/" + index + "/" + this.bot.__name(kind, module);
+                    this.bot.__register(kind, file, module);
+                    this.bot.__pluginModules.set(module, this);
+                    this.__files.push([kind, file]);
+                });
+            }
+        } catch (error) {
+            // Nothing of a plugin that failed to load is left on the bot
+            for (const [kind, file] of this.__files) this.bot.__unregister(kind, file);
+            this.__files = [];
+            throw error;
+        }
+
+        for (const [key, texts] of Object.entries(this.module.responses || {})) this.bot.__pluginResponses[key] = [].concat(texts);
+        if (this.module.middleware) this.bot.use(...this.module.middleware);
+
+        this.loaded = true;
+        this.bot.logger.info("Loaded plugin " + this.name, { plugin: this.name });
+        this.__sync();
+        this.__hook("onLoad");
+        if (this.bot.__started) this.__hook("onReady");
+
+        return this;
+    }
+
+    /**
+     * Removes everything of the plugin from the bot and runs `onUnload`
+     * @returns {Plugin} Plugin
+     */
+    unload() {
+        if (!this.loaded) return this;
+
+        for (const [kind, file] of this.__files) this.bot.__unregister(kind, file);
+        for (const key of Object.keys(this.module.responses || {})) delete this.bot.__pluginResponses[key];
+        this.bot.middleware = this.bot.middleware.filter(fn => !(this.module.middleware || []).includes(fn));
+
+        this.loaded = false;
+        this.bot.logger.info("Unloaded plugin " + this.name, { plugin: this.name });
+        this.__sync();
+        this.__files = [];
+        this.__hook("onUnload");
+
+        return this;
+    }
+
+    /**
+     * Internal function for finding what the plugin would register that already exists on the bot, from its folders or other plugins
+     * @returns {Array<String>} Descriptions of the clashes, e.g. `command ban`
+     */
+    __collisions() {
+        const client = this.bot.client;
+        const has = (collection, key) => !!collection && collection.has(key);
+        const collisions = [];
+
+        for (const command of this.module.commands || []) {
+            for (const name of [command.name, ...(command.aliases || [])]) if (has(client.commands, name) || has(client.aliases, name)) collisions.push("command " + name);
+            if (command.hybrid && this.bot.data.slash && has(client.slash, slashName(command.name))) collisions.push("slash command " + slashName(command.name));
+        }
+
+        if (this.bot.data.slash) for (const kind of APPLICATION_COMMANDS) for (const module of this.module[kind] || []) if (has(client[kind], module.data.name)) collisions.push(KINDS[kind] + " " + module.data.name);
+        for (const kind of ["buttons", "selects", "modals"]) for (const module of this.module[kind] || []) if (has(client[kind], module.id)) collisions.push(KINDS[kind] + " " + module.id);
+        for (const task of this.module.tasks || []) if (this.bot.tasks.has(task.name)) collisions.push("task " + task.name);
+        for (const key of Object.keys(this.module.responses || {})) if (DEFAULT_RESPONSES[key] || this.bot.__pluginResponses[key]) collisions.push("response " + key);
+
+        return collisions;
+    }
+
+    /**
+     * Internal function for deploying the slash commands again when the plugin added or removed slash commands or context menus after the bot was ready
+     */
+    __sync() {
+        if (!this.bot.__started || !this.bot.data.slash) return;
+        if (!(this.module.commands || []).some(command => command.hybrid) && !this.__files.some(([kind]) => APPLICATION_COMMANDS.includes(kind))) return;
+        this.bot.__syncCommands().catch(error => this.bot.logger.error("Failed to deploy slash commands", { plugin: this.name, error }));
+    }
+
+    /**
+     * Internal function for running a lifecycle hook of the plugin. Errors are handled by the bot like errors of commands
+     * @param {String} name `onLoad`, `onReady` or `onUnload`
+     */
+    __hook(name) {
+        if (typeof this.module[name] !== "function") return;
+        Promise.resolve().then(() => this.module[name](this.bot, this)).catch(error => this.bot.__handleError(error, { kind: "plugin", name: this.name + " " + name }));
+    }
+}
+
+/**
+ * Helper for reaching the other shards of the bot, available as `bot.shard`. Without sharding, the bot is treated as the only shard, so the same code works either way. Example:
+ * ```javascript
+ * const { guilds } = await bot.shard.counts(); // Servers across all shards
+ * const names = await bot.shard.evalOn(guildId, (client, { guildId }) => client.guilds.cache.get(guildId).name, { guildId }); // Runs on the shard of the server
+ * ```
+ */
+class ShardHelper {
+    /**
+     * Constructor for creating the shard helper
+     * @param {DiscordBot} bot Discord bot
+     * @returns {ShardHelper} Shard helper
+     */
+    constructor(bot) {
+        /**
+         * Discord bot
+         */
+        this.bot = bot;
+        /**
+         * Internal cache of the last `counts()`, so statuses don't ask every shard for each placeholder
+         */
+        this.__counts = null;
+    }
+
+    /**
+     * Whether the bot is sharded
+     */
+    get enabled() {
+        return !!this.bot.client.shard;
+    }
+
+    /**
+     * IDs of the shards of this process
+     */
+    get ids() {
+        return this.enabled ? this.bot.client.shard.ids : [0];
+    }
+
+    /**
+     * Total number of shards
+     */
+    get count() {
+        return this.enabled ? this.bot.client.shard.count : 1;
+    }
+
+    /**
+     * Gets the shard a server is on
+     * @param {String} guildId ID of the server
+     * @returns {Number} Shard ID
+     */
+    shardFor(guildId) {
+        return Number((BigInt(guildId) >> 22n) % BigInt(this.count));
+    }
+
+    /**
+     * Runs a function on every shard, or on one shard with `options.shard`. The function is sent to the other processes as text, so it can only use its `client` and `context` arguments, and the bot as `client.bot`
+     * @param {Function} script Function of the client and `options.context`
+     * @param {Object} options `shard` to run on, and `context` to pass to the function
+     * @returns {Promise<Array|*>} Result of every shard, or the result of `options.shard`
+     */
+    async broadcastEval(script, options = {}) {
+        if (this.enabled) return this.bot.client.shard.broadcastEval(script, options);
+
+        if (typeof options.shard === "number" && options.shard !== 0) throw new RangeError("Shard " + options.shard + " doesn't exist, the bot isn't sharded");
+        const result = await script(this.bot.client, options.context);
+        return typeof options.shard === "number" ? result : [result];
+    }
+
+    /**
+     * Runs a function on a single shard
+     * @param {Number|String} shard Shard ID, or the ID of a server to run on its shard
+     * @param {Function} script Function of the client and `context`
+     * @param {*} context Data to pass to the function
+     * @returns {Promise<*>} Result of the function
+     */
+    evalOn(shard, script, context) {
+        if (typeof shard === "string") shard = this.shardFor(shard);
+        if (shard < 0 || shard >= this.count) throw new RangeError("Shard " + shard + " doesn't exist. There " + (this.count == 1 ? "is 1 shard" : "are " + this.count + " shards"));
+        return this.broadcastEval(script, { shard, context });
+    }
+
+    /**
+     * Gets the server, channel, user and member counts of this process
+     * @returns {Object} `guilds`, `channels`, `users` (cached users) and `members` (members of all servers)
+     */
+    localCounts() {
+        const client = this.bot.client;
+
+        return {
+            guilds: client.guilds.cache.size,
+            channels: client.channels.cache.size,
+            users: client.users.cache.size,
+            members: client.guilds.cache.reduce((total, guild) => total + (guild.memberCount || 0), 0)
+        };
+    }
+
+    /**
+     * Gets the server, channel, user and member counts across all shards. Cached for 10 seconds
+     * @returns {Promise<Object>} `guilds`, `channels`, `users`, `members` and `shards`
+     */
+    counts() {
+        if (!this.enabled) return Promise.resolve(Object.assign(this.localCounts(), { shards: 1 }));
+        if (this.__counts && Date.now() - this.__counts.time < 10000) return this.__counts.promise;
+
+        const promise = this.broadcastEval(client => client.bot.shard.localCounts()).then(results => results.reduce((total, counts) => {
+            for (const key of Object.keys(counts)) total[key] = (total[key] || 0) + counts[key];
+            return total;
+        }, { shards: this.count }));
+
+        this.__counts = { time: Date.now(), promise };
+        promise.catch(() => { if (this.__counts && this.__counts.promise === promise) this.__counts = null; });
+
+        return promise;
+    }
+
+    /**
+     * Gets `stats()` added up across all shards. `ping` is the average of the shards, `uptime` the lowest, and `shards` has the `ping`, `uptime`, `guilds` and `users` of each process
+     * @returns {Promise<Object>} Stats
+     */
+    async stats() {
+        const results = await this.broadcastEval(client => Object.assign(client.bot.stats(), { ids: client.bot.shard.ids }));
+        const total = {
+            ping: results.reduce((total, stats) => total + (stats.ping || 0), 0) / results.length,
+            uptime: Math.min(...results.map(stats => stats.uptime)),
+            guilds: 0,
+            users: 0,
+            unknownCommands: 0,
+            commands: {},
+            interactions: {},
+            shards: results.map(stats => ({ ids: stats.ids, ping: stats.ping, uptime: stats.uptime, guilds: stats.guilds, users: stats.users }))
+        };
+
+        for (const stats of results) {
+            total.guilds += stats.guilds;
+            total.users += stats.users;
+            total.unknownCommands += stats.unknownCommands;
+
+            for (const kind of ["commands", "interactions"]) {
+                for (const [name, usage] of Object.entries(stats[kind])) {
+                    const merged = total[kind][name] = total[kind][name] || { total: 0, duration: { count: 0, sum: 0, average: 0 } };
+
+                    for (const [key, value] of Object.entries(usage)) if (key !== "duration") merged[key] = (merged[key] || 0) + value;
+                    merged.duration.count += usage.duration.count;
+                    merged.duration.sum += usage.duration.sum;
+                    merged.duration.average = merged.duration.count > 0 ? merged.duration.sum / merged.duration.count : 0;
+                }
+            }
+        }
+
+        return total;
+    }
+}
+
+/**
+ * Counters and histograms, exported in the Prometheus text format
+ */
+class Metrics {
+    /**
+     * Constructor for creating the metrics
+     * @param {Object} options `buckets`, the upper bounds of the histogram buckets in seconds
+     * @returns {Metrics} Metrics
+     */
+    constructor(options = {}) {
+        /**
+         * Upper bounds of the histogram buckets
+         */
+        this.buckets = options.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+        /**
+         * Counters by name and labels
+         */
+        this.counters = new Map();
+        /**
+         * Histograms by name and labels
+         */
+        this.histograms = new Map();
+    }
+
+    /**
+     * Internal function for getting the key of a metric
+     * @param {String} name Name of the metric
+     * @param {Object} labels Labels of the metric
+     * @returns {String} Key
+     */
+    __key(name, labels) {
+        return name + JSON.stringify(Object.keys(labels).sort().map(label => [label, String(labels[label])]));
+    }
+
+    /**
+     * Adds to a counter
+     * @param {String} name Name of the counter
+     * @param {Object} labels Labels of the counter
+     * @param {Number} value Amount to add. Defaults to `1`
+     * @returns {Metrics} Metrics
+     */
+    increment(name, labels = {}, value = 1) {
+        const key = this.__key(name, labels);
+        if (!this.counters.has(key)) this.counters.set(key, { name, labels: Object.assign({}, labels), value: 0 });
+        this.counters.get(key).value += value;
+        return this;
+    }
+
+    /**
+     * Gets the value of a counter
+     * @param {String} name Name of the counter
+     * @param {Object} labels Labels of the counter
+     * @returns {Number} Value
+     */
+    get(name, labels = {}) {
+        const counter = this.counters.get(this.__key(name, labels));
+        return counter ? counter.value : 0;
+    }
+
+    /**
+     * Records a value in a histogram
+     * @param {String} name Name of the histogram
+     * @param {Object} labels Labels of the histogram
+     * @param {Number} value Value to record, e.g. a duration in seconds
+     * @returns {Metrics} Metrics
+     */
+    observe(name, labels = {}, value) {
+        const key = this.__key(name, labels);
+        if (!this.histograms.has(key)) this.histograms.set(key, { name, labels: Object.assign({}, labels), buckets: this.buckets.map(() => 0), sum: 0, count: 0 });
+
+        const histogram = this.histograms.get(key);
+        this.buckets.forEach((bound, index) => { if (value <= bound) histogram.buckets[index]++; });
+        histogram.sum += value;
+        histogram.count++;
+
+        return this;
+    }
+
+    /**
+     * Removes all counters and histograms
+     * @returns {Metrics} Metrics
+     */
+    reset() {
+        this.counters.clear();
+        this.histograms.clear();
+        return this;
+    }
+
+    /**
+     * Gets all counters and histograms
+     * @returns {Object} `counters` and `histograms`
+     */
+    toJSON() {
+        return { counters: [...this.counters.values()], histograms: [...this.histograms.values()] };
+    }
+
+    /**
+     * Formats the metrics in the Prometheus text format
+     * @param {Object} gauges Extra gauge values by name
+     * @returns {String} Metrics
+     */
+    prometheus(gauges = {}) {
+        const lines = [];
+        const format = labels => {
+            const keys = Object.keys(labels);
+            if (keys.length < 1) return "";
+            return "{" + keys.map(key => key + "=\"" + String(labels[key]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"").join(",") + "}";
+        };
+        const group = (metrics, type, write) => {
+            var last = null;
+
+            for (const metric of [...metrics].sort((a, b) => a.name.localeCompare(b.name))) {
+                if (metric.name !== last) lines.push("# TYPE " + metric.name + " " + type);
+                last = metric.name;
+                write(metric);
+            }
+        };
+
+        group(this.counters.values(), "counter", counter => lines.push(counter.name + format(counter.labels) + " " + counter.value));
+        group(this.histograms.values(), "histogram", histogram => {
+            this.buckets.forEach((bound, index) => lines.push(histogram.name + "_bucket" + format(Object.assign({}, histogram.labels, { le: String(bound) })) + " " + histogram.buckets[index]));
+            lines.push(histogram.name + "_bucket" + format(Object.assign({}, histogram.labels, { le: "+Inf" })) + " " + histogram.count);
+            lines.push(histogram.name + "_sum" + format(histogram.labels) + " " + histogram.sum);
+            lines.push(histogram.name + "_count" + format(histogram.labels) + " " + histogram.count);
+        });
+
+        for (const name of Object.keys(gauges)) {
+            if (typeof gauges[name] !== "number") continue;
+            lines.push("# TYPE " + name + " gauge", name + " " + gauges[name]);
+        }
+
+        return lines.join("\n") + "\n";
+    }
+}
+
+/**
+ * Slash command option types for each argument type
+ */
+const SLASH_OPTION_TYPES = {
+    string: 3,
+    rest: 3,
+    duration: 3,
+    enum: 3,
+    integer: 4,
+    boolean: 5,
+    user: 6,
+    member: 6,
+    channel: 7,
+    role: 8,
+    number: 10
+};
+
+/**
+ * Types of ids that can be blocked
+ */
+const BLOCK_TYPES = ["user", "role", "guild"];
+
+/**
+ * Log levels, from least to most important
+ */
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+/**
+ * Kinds of modules loaded from folders, with their singular name for logging
+ */
+const KINDS = {
+    commands: "command",
+    events: "event",
+    buttons: "button",
+    selects: "select menu",
+    modals: "modal",
+    slash: "slash command",
+    contexts: "context menu",
+    tasks: "task"
+};
+
+/**
+ * v14 names of permissions that were renamed, or are not just their v13 name in PascalCase, by their v13 name
+ */
+const PERMISSION_NAMES = {
+    START_EMBEDDED_ACTIVITIES: "UseEmbeddedActivities",
+    USE_PUBLIC_THREADS: "CreatePublicThreads",
+    USE_PRIVATE_THREADS: "CreatePrivateThreads",
+    // Abbreviations are kept in capitals on v14
+    SEND_TTS_MESSAGES: "SendTTSMessages",
+    USE_VAD: "UseVAD"
+};
+
+/**
+ * Start of the keys the modules of plugins are registered under, in place of a file path
+ */
+const PLUGIN_FILE = "plugin:";
+
+/**
+ * Ways of picking the next status from `data.statuses`
+ */
+const STATUS_MODES = ["random", "sequential", "weighted"];
+
+/**
+ * Options of `DiscordBot` with their types. `env: false` options can't be set with `DBF_*` environment variables, and `deprecated` options log a warning with the option to use instead
+ */
+const CONFIG_SCHEMA = {
+    discordApi: { type: "object|function", required: true, example: "require(\"discord.js\")", env: false },
+    restApi: { type: "function|object|null", env: false },
+    client: { type: "object|null", env: false },
+    clientOptions: { type: "object|array" },
+    token: { type: "string" },
+    prefixes: { type: "string[]" },
+    mentionPrefix: { type: "boolean" },
+    owners: { type: "string[]" },
+    blockedUsers: { type: "string[]" },
+    blockedRoles: { type: "string[]" },
+    blockedGuilds: { type: "string[]" },
+    store: { type: "string|object|null" },
+    statuses: { type: "array" },
+    statusInterval: { type: "number|string" },
+    statusMode: { type: "string", values: STATUS_MODES },
+    statusPlaceholders: { type: "object", env: false },
+    responses: { type: "object" },
+    locale: { type: "string" },
+    localesPath: { type: "string" },
+    slash: { type: "boolean" },
+    path: { type: "string" },
+    commandsPath: { type: "string" },
+    eventsPath: { type: "string" },
+    buttonsPath: { type: "string" },
+    selectMenusPath: { type: "string" },
+    modalsPath: { type: "string" },
+    slashPath: { type: "string" },
+    contextsPath: { type: "string" },
+    tasksPath: { type: "string" },
+    timezone: { type: "string|null" },
+    help: { type: "boolean|object" },
+    checks: { type: "string[]" },
+    logging: { type: "boolean" },
+    logLevel: { type: "string", values: Object.keys(LOG_LEVELS) },
+    logTransports: { type: "array|null", env: false },
+    logger: { type: "object|null", env: false },
+    metrics: { type: "boolean|object" },
+    pluginOptions: { type: "object" },
+    errorReports: { type: "object|null" },
+    dev: { type: "boolean" },
+    devGuildId: { type: "string|string[]" },
+    devId: { type: "string|string[]", deprecated: "devGuildId" },
+    version: { type: "string|number" },
+    slashCache: { type: "string|boolean" },
+    watch: { type: "boolean" }
+};
+
+/**
+ * Allowed range of each field of a cron expression: minute, hour, day of month, month and day of week
+ */
+const CRON_FIELDS = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * Shorthands for common cron expressions
+ */
+const CRON_ALIASES = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+/**
+ * Custom ID pattern of the buttons and select menu used by `paginate()`
+ */
+const PAGINATOR_ID = "dbf_page:{session}:{action}";
+
+/**
+ * Custom ID pattern of the buttons, select menus and modals used by `Prompt`
+ */
+const PROMPT_ID = "dbf_prompt:{session}:{action}";
+
+/**
+ * Returned by a question of a `Prompt` when the user didn't answer in time
+ */
+const PROMPT_TIMEOUT = Symbol("timeout");
+
+/**
+ * Returned by a question of a `Prompt` when the user cancelled it
+ */
+const PROMPT_CANCEL = Symbol("cancel");
+
+/**
+ * Kinds of modules that are deployed to Discord as application commands
+ */
+const APPLICATION_COMMANDS = ["slash", "contexts"];
+
+/**
+ * Default response texts, used when `data.responses` doesn't have a response
+ */
+const DEFAULT_RESPONSES = {
+    "command_unknown": [
+        "This command doesn't exist"
+    ],
+    "command_error": [
+        "Something went wrong. If this keeps happening, please report error `{{id}}`"
+    ],
+    "command_cooldown": [
+        "Please wait `{{cooldown}}` {{cooldown|one:second|other:seconds}} before using this command again"
+    ],
+    "command_guild_only": [
+        "This command can only be used in a server"
+    ],
+    "command_dms_only": [
+        "This command can only be used in DMs"
+    ],
+    "command_owners_only": [
+        "Only bot owners can use this command"
+    ],
+    "command_blocked": [
+        "You are blocked from using this command"
+    ],
+    "command_no_permission": [
+        "You don't have permission to use this command"
+    ],
+    "command_no_bot_permission": [
+        "I don't have permission to use this command"
+    ],
+    "command_incorrect_usage": [
+        "Please use this command correctly: `{{usage}}`"
+    ],
+    "command_disabled": [
+        "This command is disabled here"
+    ],
+    "help_description": [
+        "Use `{{prefix}}{{command}} <command>` to get more information about a command"
+    ],
+    "help_no_description": [
+        "No description"
+    ],
+    "help_title": ["Help"],
+    "help_usage": ["Usage"],
+    "help_aliases": ["Aliases"],
+    "help_category": ["Category"],
+    "help_cooldown": ["Cooldown"],
+    "help_cooldown_value": ["{{cooldown}} {{cooldown|one:second|other:seconds}}"],
+    "help_permissions": ["Permissions"],
+    "help_restrictions": ["Restrictions"],
+    "help_guild_only": ["Servers only"],
+    "help_dms_only": ["DMs only"],
+    "help_owners_only": ["Bot owners only"],
+    "help_other": ["Other"],
+    "help_page": ["Page {{page}} of {{pages}}"],
+    "paginator_page": ["Page {{page}} of {{pages}}"],
+    "paginator_jump": ["Jump to page"],
+    "paginator_not_yours": ["Only the person who used this command can change pages"],
+    "prompt_timeout": ["You took too long to answer"],
+    "prompt_cancelled": ["Cancelled"],
+    "prompt_invalid": ["That's not a valid answer, please try again"],
+    "prompt_retries": ["Too many invalid answers, cancelled"],
+    "prompt_not_yours": ["Only the person who used this command can answer"],
+    "prompt_yes": ["Yes"],
+    "prompt_no": ["No"],
+    "prompt_cancel": ["Cancel"],
+    "prompt_choose": ["Choose an option"],
+    "title_command_unknown": ["Unknown Command"],
+    "title_command_error": ["Error"],
+    "title_command_blocked": ["Blocked"],
+    "argument_unknown_option": ["Unknown option `--{{name}}`"],
+    "argument_option_value": ["Option `--{{name}}` needs a value"],
+    "argument_missing": ["Missing required argument `{{name}}`"],
+    "argument_too_short": ["`{{name}}` must be at least {{min}} {{min|one:character|other:characters}} long"],
+    "argument_too_long": ["`{{name}}` must be at most {{max}} {{max|one:character|other:characters}} long"],
+    "argument_integer": ["`{{name}}` must be a whole number"],
+    "argument_number": ["`{{name}}` must be a number"],
+    "argument_min": ["`{{name}}` must be at least {{min}}"],
+    "argument_max": ["`{{name}}` must be at most {{max}}"],
+    "argument_boolean": ["`{{name}}` must be yes or no"],
+    "argument_guild_only": ["`{{name}}` can only be used in a server"],
+    "argument_user": ["Couldn't find the user `{{value}}`"],
+    "argument_member": ["Couldn't find the member `{{value}}`"],
+    "argument_channel": ["Couldn't find the channel `{{value}}`"],
+    "argument_role": ["Couldn't find the role `{{value}}`"],
+    "argument_duration": ["`{{name}}` must be a duration like `10m` or `1h30m`"],
+    "argument_duration_min": ["`{{name}}` is too short"],
+    "argument_duration_max": ["`{{name}}` is too long"],
+    "argument_enum": ["`{{name}}` must be one of {{choices}}"]
+};
+
+/**
+ * Gets the `s` for the old `{{s}}` placeholder. Use `{{placeholder|one:...|other:...}}` in new responses instead
+ * @param {Number} int Number to check
+ * @returns {String} `s` unless the number is 1
+ */
+function s(int) { return int == 1 ? "" : "s"; }
+
+/**
+ * Picks the plural form for a number, e.g. `plural("en", 2, "|one:second|other:seconds")` gives `seconds`
+ * @param {String} locale Locale to use the plural rules of
+ * @param {Number|String} number Number to pick the form for
+ * @param {String} forms Forms like `|one:second|other:seconds`. Categories are `zero`, `one`, `two`, `few`, `many` and `other`
+ * @returns {String} Plural form
+ */
+function plural(locale, number, forms) {
+    const options = {};
+
+    for (const form of forms.split("|").slice(1)) {
+        const index = form.indexOf(":");
+        options[form.slice(0, index)] = form.slice(index + 1);
+    }
+
+    var category = "other";
+    try { category = new Intl.PluralRules(locale).select(Number(number)); }
+    catch { category = new Intl.PluralRules("en").select(Number(number)); }
+
+    return typeof options[category] !== "undefined" ? options[category] : options.other || "";
+}
+
+/**
+ * Recursively finds all JavaScript files in a folder
+ * @param {String} path Path to the folder
+ * @param {String} folder Subfolder to prefix the files with. Only used internally
+ * @returns {Array<String>} Paths of the files relative to `path`, e.g. `moderation/ban.js`
+ */
+function walk(path, folder = "") {
+    const files = [];
+
+    for (const entry of fs.readdirSync(path + (folder ? "/" + folder : ""), { withFileTypes: true })) {
+        const file = (folder ? folder + "/" : "") + entry.name;
+        if (entry.isDirectory()) files.push(...walk(path, file));
+        else if (entry.name.endsWith(".js")) files.push(file);
+    }
+
+    return files;
+}
+
+/**
+ * Error thrown when the arguments of a command can't be parsed
+ */
+class ArgumentError extends Error {
+    /**
+     * Constructor for creating an argument error
+     * @param {String} key Response name of the error text, e.g. `argument_missing`
+     * @param {Object} data Object with the values for the placeholders
+     * @returns {ArgumentError} Argument error
+     */
+    constructor(key, data = {}) {
+        super(key);
+        this.name = "ArgumentError";
+        this.key = key;
+        this.data = data;
+    }
+}
+
+/**
+ * Error thrown when the data given to `DiscordBot` is invalid
+ */
+class ConfigError extends Error {
+    /**
+     * Constructor for creating a config error
+     * @param {Array<String>} problems Everything that is wrong with the data
+     * @returns {ConfigError} Config error
+     */
+    constructor(problems) {
+        super("Invalid DiscordBot config:\n - " + problems.join("\n - "));
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Gets the type of a value as used in `CONFIG_SCHEMA`
+ * @param {*} value Value
+ * @returns {String} `null`, `array` or the `typeof` the value
+ */
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Checks the data given to `DiscordBot` against `CONFIG_SCHEMA`
+ * @param {Object} data Discord bot data
+ * @returns {Array<String>} Problems, empty if the data is valid
+ */
+function validateConfig(data) {
+    if (typeOf(data) !== "object") return ["The config must be an object, got " + typeOf(data)];
+
+    const problems = [];
+    const matches = (value, type) => type === "string[]" ? Array.isArray(value) && value.every(item => typeof item === "string") : typeOf(value) === type;
+
+    for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+        const value = data[key];
+
+        if (typeof value === "undefined" || (schema.required && value === null)) {
+            if (schema.required) problems.push(key + " is required" + (schema.example ? ", e.g. " + key + ": " + schema.example : ""));
+            continue;
+        }
+
+        const types = schema.type.split("|");
+        if (!types.some(type => matches(value, type))) problems.push(key + " must be " + types.map(type => type === "string[]" ? "an array of strings" : (/^[aeio]/.test(type) ? "an " : "a ") + type).join(" or ") + ", got " + typeOf(value));
+        else if (schema.values && typeof value === "string" && !schema.values.includes(value)) problems.push(key + " must be one of " + schema.values.join(", ") + ", got " + value);
+    }
+
+    if (typeof data.timezone === "string") {
+        // Throws a RangeError for unknown timezones, which would otherwise only show up when a task is scheduled
+        try { new Intl.DateTimeFormat("en-US", { timeZone: data.timezone }); }
+        catch { problems.push("timezone must be an IANA timezone like Europe/Amsterdam, got " + data.timezone); }
+    }
+
+    if (data.discordApi && typeof data.discordApi.Client !== "function") problems.push("discordApi must be the Discord API, e.g. require(\"discord.js\"), but it doesn't have a Client");
+
+    if (typeOf(data.responses) === "object") {
+        for (const [key, texts] of Object.entries(data.responses)) if (typeof texts !== "string" && !matches(texts, "string[]")) problems.push("responses." + key + " must be a string or an array of strings");
+    }
+
+    if (Array.isArray(data.statuses)) {
+        data.statuses.forEach((status, index) => {
+            if (!["object", "function", "string"].includes(typeOf(status))) problems.push("statuses[" + index + "] must be an object, a function or a string, got " + typeOf(status));
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Gets warnings for the options given to `DiscordBot` that aren't in `CONFIG_SCHEMA`, with a suggestion if they look like a typo. They are only warnings, since bots and plugins can keep their own options in the data
+ * @param {Object} data Discord bot data
+ * @returns {Array<String>} Warnings, e.g. `Unknown option devGuildID. Did you mean devGuildId?`
+ */
+function unknownOptions(data) {
+    return Object.keys(data).filter(key => !CONFIG_SCHEMA[key]).map(key => {
+        const suggestion = Object.keys(CONFIG_SCHEMA).find(option => option.toLowerCase() === key.toLowerCase() || editDistance(option, key) <= 2);
+        return "Unknown option " + key + (suggestion ? ". Did you mean " + suggestion + "?" : "");
+    });
+}
+
+/**
+ * Turns response texts given as strings into lists of texts
+ * @param {Object} responses Responses by name
+ * @returns {Object} Responses with lists of texts
+ */
+function normalizeResponses(responses) {
+    const normalized = {};
+    for (const [key, texts] of Object.entries(responses)) normalized[key] = [].concat(texts);
+    return normalized;
+}
+
+/**
+ * Gets the options set with `DBF_*` environment variables, like `DBF_TOKEN` and `DBF_DEV_GUILD_ID`
+ * @param {Object} env Environment variables
+ * @returns {Object} Options
+ */
+function configFromEnv(env) {
+    const config = {};
+
+    for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+        const value = env["DBF_" + key.replace(/([A-Z])/g, "_$1").toUpperCase()];
+        if (typeof value === "undefined" || schema.env === false) continue;
+
+        const types = schema.type.split("|");
+        const trimmed = value.trim();
+
+        if (/^[[{]/.test(trimmed) || ["true", "false", "null"].includes(trimmed)) {
+            try { config[key] = JSON.parse(trimmed); continue; }
+            catch {}
+        }
+
+        if (types.includes("number") && /^-?\d+(\.\d+)?$/.test(trimmed)) config[key] = Number(trimmed);
+        else if (!types.includes("string") && (types.includes("array") || types.includes("string[]"))) config[key] = trimmed.split(",").map(item => item.trim()).filter(item => item.length > 0);
+        else config[key] = value;
+    }
+
+    return config;
+}
+
+/**
+ * Counts the changes needed to turn one string into another, used for suggesting options with typos
+ * @param {String} a First string
+ * @param {String} b Second string
+ * @returns {Number} Levenshtein distance
+ */
+function editDistance(a, b) {
+    var previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (var i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (var j = 1; j <= b.length; j++) current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Splits a string into tokens, keeping "quoted strings" together
+ * @param {String} input String to split
+ * @returns {Array<Object>} Tokens with their `value`, `raw` text and whether they were `quoted`, and their `start` and `end` in the input
+ */
+function tokenize(input) {
+    const tokens = [];
+    const regex = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+    var match;
+
+    while ((match = regex.exec(input)) !== null) {
+        const quoted = typeof match[3] === "undefined";
+        const value = quoted ? (typeof match[1] === "undefined" ? match[2] : match[1]).replace(/\\(.)/g, "$1") : match[3];
+        tokens.push({ value, raw: match[0], quoted, start: match.index, end: regex.lastIndex });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a duration like `10s`, `5m`, `1h30m` or `2d` into milliseconds
+ * @param {String} input Duration to parse
+ * @returns {Number|null} Duration in milliseconds, or `null` if it isn't a valid duration
+ */
+function parseDuration(input) {
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    const string = input.toLowerCase().replace(/\s+/g, "");
+    if (!/^(\d+(\.\d+)?(ms|s|m|h|d|w))+$/.test(string)) return null;
+
+    var total = 0;
+    for (const [, amount, , unit] of string.matchAll(/(\d+(\.\d+)?)(ms|s|m|h|d|w)/g)) total += parseFloat(amount) * units[unit];
+    return total;
+}
+
+/**
+ * Parses a cron expression like `30 9-17 * * 1-5` with the fields minute, hour, day of month, month and day of week. Supports `*`, ranges like `1-5`, steps like `0-30/10`, lists like `1,15` and shorthands like `@daily`
+ * @param {String} expression Cron expression
+ * @returns {Object[]} Allowed `values` of each field, and whether the field is `any` (starts with `*`)
+ */
+function parseCron(expression) {
+    const fields = (CRON_ALIASES[expression.trim().toLowerCase()] || expression).trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error("Invalid cron expression " + expression + ". Use 5 fields: minute, hour, day of month, month and day of week");
+
+    return fields.map((field, index) => {
+        const [min, max] = CRON_FIELDS[index];
+        const values = new Set();
+
+        for (const item of field.split(",")) {
+            const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) throw new Error("Invalid cron expression " + expression + ". Can't parse " + item);
+
+            const step = match[4] ? parseInt(match[4]) : 1;
+            const from = match[1] === "*" ? min : parseInt(match[2]);
+            const to = match[1] === "*" ? max : match[3] ? parseInt(match[3]) : match[4] ? max : from;
+            if (from < min || to > max || from > to || step < 1) throw new Error("Invalid cron expression " + expression + ". " + item + " is out of range");
+
+            // Both 0 and 7 are Sunday
+            for (var value = from; value <= to; value += step) values.add(index === 4 ? value % 7 : value);
+        }
+
+        return { values, any: field.startsWith("*") };
+    });
+}
+
+/**
+ * Finds the next time a parsed cron expression matches, after the given date
+ * @param {Object[]} cron Parsed cron expression from `parseCron()`
+ * @param {Date} from Date to start after
+ * @param {String} timezone Timezone, e.g. `Europe/Amsterdam`. Defaults to the timezone of the system
+ * @returns {Date|null} Next match, or `null` if there is none in the next 5 years
+ */
+function nextCron(cron, from, timezone) {
+    const format = new Intl.DateTimeFormat("en-US", { timeZone: timezone || undefined, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", weekday: "short", hour: "numeric", minute: "numeric" });
+    const weekday_names = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    const [minutes, hours, days, months, week_days] = cron;
+
+    var time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+    const limit = time + 5 * 366 * 86400000;
+
+    while (time < limit) {
+        const parts = {};
+        for (const { type, value } of format.formatToParts(new Date(time))) parts[type] = value;
+
+        const minute = parseInt(parts.minute);
+        const hour = parseInt(parts.hour) % 24;
+        const weekday = weekday_names.indexOf(parts.weekday);
+        // Like in other cron implementations, a day matches either field when both are restricted
+        const day = days.any || week_days.any ? days.values.has(parseInt(parts.day)) && week_days.values.has(weekday) : days.values.has(parseInt(parts.day)) || week_days.values.has(weekday);
+
+        // Skips ahead by a day or an hour in steps that can't jump over a whole hour when the clocks change
+        if (!months.values.has(parseInt(parts.month)) || !day) time += (Math.max(22 - hour, 0) * 60 + 60 - minute) * 60000;
+        else if (!hours.values.has(hour)) time += (60 - minute) * 60000;
+        else if (!minutes.values.has(minute)) time += 60000;
+        else return new Date(time);
+    }
+
+    return null;
+}
+
+/**
+ * Checks the schedule of a task module
+ * @param {Object} module Task module
+ * @returns {Object} Parsed `cron` expression or `interval` in milliseconds, the other one being `null`
+ */
+function taskSchedule(module) {
+    if (typeof module.execute !== "function") throw new Error("Task " + module.name + " doesn't have an execute function");
+    // Throws a RangeError for unknown timezones
+    if (module.timezone) new Intl.DateTimeFormat("en-US", { timeZone: module.timezone });
+
+    if (module.cron) {
+        const cron = parseCron(module.cron);
+        if (!nextCron(cron, new Date(Date.now()), module.timezone)) throw new Error("Cron expression " + module.cron + " of task " + module.name + " never matches");
+        return { cron, interval: null };
+    }
+
+    const interval = typeof module.interval === "number" ? module.interval : parseDuration(String(module.interval || ""));
+    if (!interval || interval < 1000) throw new Error("Task " + module.name + " needs a cron expression or an interval of at least a second");
+    return { cron: null, interval };
+}
+
+/**
+ * Keeps only the fields of a slash command that matter for comparing it, in a fixed order, leaving out empty and default values. Used to compare local commands with the ones registered on Discord
+ * @param {Object} command Slash command or option definition
+ * @returns {Object} Normalized definition
+ */
+function normalizeCommand(command) {
+    const keys = ["type", "name", "description", "required", "choices", "value", "options", "channel_types", "min_value", "max_value", "min_length", "max_length", "autocomplete", "default_member_permissions", "dm_permission", "nsfw", "name_localizations", "description_localizations"];
+    const normalized = {};
+
+    for (const key of keys) {
+        var value = command[key];
+
+        if (typeof value === "undefined" || value === null || value === false) continue;
+        if (Array.isArray(value) && value.length < 1) continue;
+        if (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length < 1) continue;
+        if (key === "dm_permission" && value === true) continue;
+
+        if (key === "options" || key === "choices") value = value.map(normalizeCommand);
+        normalized[key] = value;
+    }
+
+    return normalized;
+}
+
+/**
+ * Formats a log entry as text, e.g. `[DBF] INFO  => Ran command ping (guild=1 user=2 duration=5ms)`
+ * @param {Object} entry Log entry
+ * @returns {String} Text
+ */
+function formatEntry(entry) {
+    const fields = Object.keys(entry)
+        .filter(key => !["time", "level", "message", "error"].includes(key) && entry[key] !== null && typeof entry[key] !== "undefined")
+        .map(key => key + "=" + (typeof entry[key] === "object" ? JSON.stringify(entry[key]) : entry[key]) + (key === "duration" ? "ms" : ""));
+
+    var text = "[DBF] " + entry.level.toUpperCase().padEnd(5) + " => " + entry.message + (fields.length > 0 ? " (" + fields.join(" ") + ")" : "");
+    if (entry.error) text += "\n" + (entry.error.stack || entry.error);
+    return text;
+}
+
+/**
+ * Turns a log entry into a line of JSON. Errors are turned into their name, message and stack
+ * @param {Object} entry Log entry
+ * @returns {String} JSON
+ */
+function serializeEntry(entry) {
+    try {
+        return JSON.stringify(entry, (key, value) => value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value);
+    } catch {
+        return JSON.stringify({ time: entry.time, level: entry.level, message: entry.message });
+    }
+}
+
+/**
+ * Gets the metrics status of a command or interaction that was stopped by a check, from the response it got. Prefix commands, hybrid commands and interactions all use these: `disabled`, `blocked`, `cooldown`, `guild_only`, `dms_only`, `owners_only`, `no_permission`, `no_bot_permission`, `incorrect_usage`, or the name of a custom response
+ * @param {String} response Name of the response, e.g. `command_cooldown`
+ * @returns {String} Status, e.g. `cooldown`
+ */
+function stoppedStatus(response) {
+    return response.replace(/^command_/, "");
+}
+
+/**
+ * Matches a custom ID against the `id` of a button, select menu or modal
+ * @param {String|RegExp} id Exact ID, pattern like `vote:{pollId}:{choice}` or regular expression
+ * @param {String} customId Custom ID of the interaction
+ * @returns {Object|Array} Parsed params, or `null` if the custom ID does not match
+ */
+function matchCustomId(id, customId) {
+    if (id instanceof RegExp) {
+        // A copy without the `g` flag, which would make `match()` return every match instead of the groups
+        const match = new RegExp(id.source, id.flags.replace("g", "")).exec(customId);
+        if (!match) return null;
+        return match.groups ? Object.assign({}, match.groups) : match.slice(1);
+    }
+
+    if (typeof id !== "string") return null;
+    if (id === customId) return {};
+    if (!/{\w+}/.test(id)) return null;
+
+    const names = [];
+    const source = id.split(/({\w+})/).map(part => {
+        const name = part.match(/^{(\w+)}$/);
+        if (!name) return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        names.push(name[1]);
+        return "([^:]+?)";
+    }).join("");
+
+    const match = customId.match(new RegExp("^" + source + "$"));
+    if (!match) return null;
+
+    const params = {};
+    names.forEach((name, i) => params[name] = match[i + 1]);
+    return params;
+}
+
+/**
+ * Checks whether something is an interaction rather than a message
+ * @param {Message|Interaction} target Message or interaction
+ * @returns {Boolean} Whether it is an interaction
+ */
+function isInteraction(target) { return !target.author && !!target.user; }
+
+/**
+ * Turns a command or argument name into a valid slash command name
+ * @param {String} name Name to turn into a slash command name
+ * @returns {String} Lowercase name of at most 32 characters
+ */
+function slashName(name) { return String(name).toLowerCase().replace(/[^\w-]/g, "-").slice(0, 32); }
+
+/**
+ * Checks whether a string looks like a Discord ID
+ * @param {String} id String to check
+ * @returns {Boolean} Whether it is a snowflake
+ */
+function isSnowflake(id) { return /^\d{17,20}$/.test(id); }
 
-module.exports = DiscordBot;
\ No newline at end of file
+module.exports = DiscordBot;
+module.exports.DiscordBot = DiscordBot;
+module.exports.MemoryStore = MemoryStore;
+module.exports.JSONStore = JSONStore;
+module.exports.GuildSettings = GuildSettings;
+module.exports.Prompt = Prompt;
+module.exports.Wizard = Wizard;
+module.exports.Task = Task;
+module.exports.ShardHelper = ShardHelper;
+module.exports.Plugin = Plugin;
+module.exports.ConfigError = ConfigError;
+module.exports.DiscordCompat = DiscordCompat;
+module.exports.Logger = Logger;
+module.exports.Metrics = Metrics;
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.JSONTransport = JSONTransport;
@@ -0,0 +1,114 @@
+/**
+ * Made by The Yule (theyule.xyz) at Yoo-Babobo (yoo-babobo.com).
+ * Sharding launcher for DBF bots. Runs the file that starts the bot once per shard with the `ShardingManager` of discord.js.
+ */
+
+"use strict";
+
+const { Logger, ConsoleTransport } = require("./dbf.js");
+
+/**
+ * Starts a bot on multiple shards. Every shard runs the bot file in its own process, where `bot.shard` can reach the other shards. Example:
+ * ```js
+ * const ShardLauncher = require("@yoo-babobo/dbf.js/sharding");
+ *
+ * const launcher = new ShardLauncher("./bot.js", { discordApi: require("discord.js"), token: process.env.TOKEN });
+ * await launcher.spawn();
+ * console.log(await launcher.counts()); // { guilds: 5120, channels: 81234, users: 40210, members: 912345, shards: 4 }
+ * ```
+ * The bot file creates the bot as usual and leaves out the `token`, which is passed to every shard as `DISCORD_TOKEN`
+ */
+class ShardLauncher {
+    /**
+     * Constructor for creating the sharding launcher
+     * @param {String} file Path of the file that creates and logs in the bot
+     * @param {Object} data `discordApi` `REQUIRED`, `token`, `totalShards` (defaults to `auto`), `respawn` (defaults to `true`), `logger`, `logLevel` and `logTransports` like for `DiscordBot`, and any other options of the `ShardingManager`
+     * @returns {ShardLauncher} Sharding launcher
+     */
+    constructor(file, data = {}) {
+        if (!data.discordApi) throw new Error("ShardLauncher needs the Discord API, e.g. { discordApi: require(\"discord.js\") }");
+
+        /**
+         * Discord API
+         */
+        this.discord = data.discordApi;
+        /**
+         * Sharding launcher data
+         */
+        this.data = data;
+        /**
+         * Logger used for all output of the launcher
+         */
+        this.logger = data.logger || new Logger({
+            level: data.logLevel || "info",
+            transports: data.logTransports || [new ConsoleTransport()]
+        });
+
+        const options = Object.assign({ totalShards: "auto", respawn: true }, data);
+        for (const key of ["discordApi", "logger", "logLevel", "logTransports"]) delete options[key];
+
+        /**
+         * Sharding manager of discord.js
+         */
+        this.manager = new this.discord.ShardingManager(file, options);
+        this.manager.on("shardCreate", shard => {
+            this.logger.info("Launched shard " + shard.id, { shard: shard.id });
+            shard.on("ready", () => this.logger.info("Shard " + shard.id + " is ready", { shard: shard.id }));
+            shard.on("disconnect", () => this.logger.warn("Shard " + shard.id + " disconnected", { shard: shard.id }));
+            shard.on("reconnecting", () => this.logger.info("Shard " + shard.id + " is reconnecting", { shard: shard.id }));
+            shard.on("death", child => this.logger.error("Shard " + shard.id + " died", { shard: shard.id, exitCode: child.exitCode }));
+        });
+
+        return this;
+    }
+
+    /**
+     * Launches all shards
+     * @param {Object} options Options of `ShardingManager.spawn()`, such as `amount`, `delay` and `timeout`
+     * @returns {Promise<ShardLauncher>} Sharding launcher
+     */
+    async spawn(options = {}) {
+        await this.manager.spawn(options);
+        this.logger.info("All " + this.manager.shards.size + " shards have been launched");
+        return this;
+    }
+
+    /**
+     * Runs a function on every shard, or on one shard with `options.shard`. The bot is available in the function as `client.bot`
+     * @param {Function} script Function of the client and `options.context`
+     * @param {Object} options `shard` to run on, and `context` to pass to the function
+     * @returns {Promise<Array|*>} Result of every shard, or the result of `options.shard`
+     */
+    broadcastEval(script, options = {}) {
+        return this.manager.broadcastEval(script, options);
+    }
+
+    /**
+     * Gets the server, channel, user and member counts across all shards
+     * @returns {Promise<Object>} `guilds`, `channels`, `users`, `members` and `shards`
+     */
+    counts() {
+        return this.broadcastEval(client => client.bot.shard.counts(), { shard: this.__firstShard() });
+    }
+
+    /**
+     * Gets the stats of the bot added up across all shards, see `ShardHelper.stats()`
+     * @returns {Promise<Object>} Stats
+     */
+    stats() {
+        return this.broadcastEval(client => client.bot.shard.stats(), { shard: this.__firstShard() });
+    }
+
+    /**
+     * Internal function for getting the shard that collects the totals
+     * @returns {Number} Shard ID
+     */
+    __firstShard() {
+        const shard = this.manager.shards.firstKey();
+        if (typeof shard === "undefined") throw new Error("No shards have been launched yet. Call spawn() first");
+        return shard;
+    }
+}
+
+module.exports = ShardLauncher;
+module.exports.ShardLauncher = ShardLauncher;
@@ -0,0 +1,57 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({
+        prefixes: ["!"],
+        path: __dirname + "/fixtures/arguments",
+        responses: { command_incorrect_usage: ["{{error}}"] }
+    }).start();
+
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+async function run(harness, content) {
+    harness.advance(5000); // Skip the cooldown
+    const [reply] = await harness.message(content);
+    return reply.content || reply.embeds[0].description;
+}
+
+test("keeps quoted strings together as one argument", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await run(harness, "!greet \"Ann Lee\" 'Good morning'"), "Good morning, Ann Lee");
+});
+
+test("uses the default of a missing optional argument", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await run(harness, "!greet Bob"), "Hello, Bob");
+});
+
+test("keeps the spacing and quotes of a rest argument but not its flags", async t => {
+    const harness = start(t);
+
+    assert.deepStrictEqual(JSON.parse(await run(harness, "!say 2 hello   \"big\" --loud  world")), { times: 2, text: "hello   \"big\"  world", loud: true });
+    assert.deepStrictEqual(JSON.parse(await run(harness, "!say 1 hi")), { times: 1, text: "hi", loud: false });
+});
+
+test("ignores words after the last argument", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await run(harness, "!greet Ann Hi there"), "Hi, Ann");
+});
+
+test("answers with the reason when arguments are missing or can't be converted", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await run(harness, "!say"), "Missing required argument `times`");
+    assert.strictEqual(await run(harness, "!say 3"), "Missing required argument `text`");
+    assert.strictEqual(await run(harness, "!say two hi"), "`times` must be a whole number");
+    assert.strictEqual(await run(harness, "!say 0 hi"), "`times` must be at least 1");
+    assert.strictEqual(await run(harness, "!say 1 hi --quiet"), "Unknown option `--quiet`");
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures", responses: { command_blocked: ["Blocked: {{reason}}"] } }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+async function run(harness, content, options) {
+    harness.advance(5000); // Skip the cooldown
+    const [reply] = await harness.message(content, options);
+    return reply.content || reply.embeds[0].description;
+}
+
+test("blocks and unblocks users at runtime", async t => {
+    const harness = start(t);
+
+    await harness.bot.block(harness.user.id, { reason: "Spamming" });
+    assert.strictEqual(await run(harness, "!ping"), "Blocked: Spamming");
+    assert.deepStrictEqual((await harness.bot.getBlocked()).map(block => [block.id, block.reason]), [[harness.user.id, "Spamming"]]);
+
+    assert.strictEqual(await harness.bot.unblock(harness.user.id), true);
+    assert.strictEqual(await harness.bot.unblock(harness.user.id), false);
+    assert.strictEqual(await run(harness, "!ping"), "Pong!");
+});
+
+test("lets blocks with a duration expire", async t => {
+    const harness = start(t);
+
+    await harness.bot.block(harness.user.id, { duration: "1h" });
+    assert.strictEqual(await run(harness, "!ping"), "Blocked: ");
+
+    harness.advance(60 * 60 * 1000);
+    assert.strictEqual(await run(harness, "!ping"), "Pong!");
+});
+
+test("blocks by role and by server, but never the owners", async t => {
+    const harness = start(t, { owners: ["1"] });
+    const role = harness.createRole(harness.guild, { name: "Muted" });
+    const muted = harness.createUser({ username: "Muted" });
+    const owner = harness.createUser({ id: "1", username: "Owner" });
+    harness.createMember(harness.guild, muted, { roles: [role.id] });
+    harness.createMember(harness.guild, owner, { roles: [role.id] });
+
+    await harness.bot.block(role.id, { type: "role", reason: "Muted" });
+    assert.strictEqual(await run(harness, "!ping", { author: muted }), "Blocked: Muted");
+    assert.strictEqual(await run(harness, "!ping", { author: owner }), "Pong!");
+    assert.strictEqual(await run(harness, "!ping"), "Pong!");
+
+    await harness.bot.block(harness.guild.id, { type: "guild", reason: "Raid" });
+    assert.strictEqual(await run(harness, "!ping"), "Blocked: Raid");
+    assert.strictEqual(await run(harness, "!ping", { channel: harness.createDM(harness.user) }), "Pong!");
+
+    await assert.rejects(harness.bot.block("2", { type: "channel" }), /Unknown block type channel\. Use one of user, role, guild/);
+});
@@ -0,0 +1,22 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+test("loads commands from subfolders and groups them by their folder", async t => {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/categories" }).start();
+    t.after(() => harness.destroy());
+
+    const { commands, categories } = harness.client;
+
+    assert.deepStrictEqual([...commands.keys()].sort(), ["about", "joke", "kick", "secret"]);
+    assert.strictEqual(commands.get("joke").category, "fun");
+    assert.strictEqual(commands.get("kick").category, "members");
+    assert.strictEqual(commands.get("about").category, undefined);
+    assert.deepStrictEqual([...categories.keys()].sort(), ["fun", "members"]);
+    assert.strictEqual(categories.get("fun").get("joke"), commands.get("joke"));
+
+    const [reply] = await harness.message("!pun");
+    assert.strictEqual(reply.content, "Why did the bot cross the road?");
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+const { DiscordCompat } = require("../dbf.js");
+
+// Only the parts of discord.js v14 that the adapter uses
+class Builder {
+    constructor(data = {}) { this.data = Object.assign({}, data); }
+    setColor(color) { this.data.color = color; return this; }
+    setStyle(style) { this.data.style = style; return this; }
+    addFields(...fields) { this.data.fields = (this.data.fields || []).concat(fields); return this; }
+    toJSON() { return Object.assign({}, this.data); }
+}
+
+const v14 = {
+    version: "14.14.1",
+    EmbedBuilder: class extends Builder {},
+    ActionRowBuilder: class extends Builder {},
+    ButtonBuilder: class extends Builder {},
+    StringSelectMenuBuilder: class extends Builder {},
+    ModalBuilder: class extends Builder {},
+    TextInputBuilder: class extends Builder {},
+    ButtonStyle: { Primary: 1, Secondary: 2 },
+    TextInputStyle: { Short: 1, Paragraph: 2 },
+    ActivityType: { Playing: 0, Watching: 3 },
+    GatewayIntentBits: { Guilds: 1, GuildMessages: 512 },
+    Partials: { Channel: 1 },
+    ChannelType: { GuildText: 0, DM: 1 }
+};
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/categories" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("turns v13 names into the names and values of v14", () => {
+    const compat = new DiscordCompat(v14);
+
+    assert.strictEqual(compat.modern, true);
+    assert.deepStrictEqual(compat.permissions(["KICK_MEMBERS", "SEND_TTS_MESSAGES", "USE_VAD", "USE_PUBLIC_THREADS"]), ["KickMembers", "SendTTSMessages", "UseVAD", "CreatePublicThreads"]);
+    assert.strictEqual(compat.permissions("ManageGuild"), "ManageGuild");
+    assert.strictEqual(compat.activityType("WATCHING"), 3);
+    assert.deepStrictEqual(compat.clientOptions({ intents: ["GUILDS", "GUILD_MESSAGES"], partials: ["CHANNEL"] }), { intents: [1, 512], partials: [1] });
+    assert.strictEqual(new compat.Button().setStyle("SECONDARY").data.style, 2);
+    assert.strictEqual(new compat.TextInput().setStyle("PARAGRAPH").data.style, 2);
+    assert.deepStrictEqual(new compat.Embed().setColor("DARK_RED").addField("Level", "5").data, { color: "DarkRed", fields: [{ name: "Level", value: "5", inline: false }] });
+    assert.strictEqual(compat.isDM({ type: 1 }), true);
+    assert.strictEqual(compat.isDM({ type: 0 }), false);
+});
+
+test("turns v14 names into the names of v13", t => {
+    const harness = start(t);
+    const compat = harness.bot.compat;
+
+    assert.strictEqual(compat.modern, false);
+    assert.deepStrictEqual(compat.permissions(["KickMembers", "SendTTSMessages", "UseVAD", "CreatePublicThreads"]), ["KICK_MEMBERS", "SEND_TTS_MESSAGES", "USE_VAD", "USE_PUBLIC_THREADS"]);
+    assert.strictEqual(compat.activityType("Watching"), "WATCHING");
+    assert.strictEqual(new compat.Button().setStyle("Secondary").style, "SECONDARY");
+});
+
+test("only needs the permissions of a command, not administrator", async t => {
+    const harness = start(t);
+    const moderator = harness.createUser({ username: "Moderator" });
+    harness.createMember(harness.guild, moderator, { permissions: ["KICK_MEMBERS"] });
+
+    const [allowed] = await harness.message("!kick", { author: moderator });
+    assert.strictEqual(allowed.content, "Kicked");
+
+    const [denied] = await harness.message("!kick");
+    assert.strictEqual(denied.embeds[0].description, "You don't have permission to use this command");
+});
+
+test("doesn't check permissions in DMs", async t => {
+    const harness = start(t);
+    harness.bot.plugin({
+        name: "notes",
+        commands: [{ name: "note", permissions: ["MANAGE_MESSAGES"], botPermissions: ["MANAGE_MESSAGES"], execute: message => message.reply("Noted") }]
+    });
+
+    const [reply] = await harness.message("!note", { channel: harness.createDM(harness.user) });
+    assert.strictEqual(reply.content, "Noted");
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestHarness = require("../testing.js");
+const { DiscordBot, ConfigError } = require("../dbf.js");
+
+function create(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures" }, data));
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+function warnings(harness) {
+    return harness.logs.filter(entry => entry.level === "warn").map(entry => entry.message);
+}
+
+test("warns about unknown options and suggests the option that was meant", t => {
+    const harness = create(t, { devGuildID: "100000000000000001", myOwnOption: true });
+
+    assert.deepStrictEqual(warnings(harness), ["Unknown option devGuildID. Did you mean devGuildId?", "Unknown option myOwnOption"]);
+});
+
+test("warns that devId is deprecated", t => {
+    const harness = create(t, { devId: "100000000000000001" });
+
+    assert.deepStrictEqual(warnings(harness), ["devId is deprecated. Use devGuildId instead"]);
+});
+
+test("throws a ConfigError with every option of the wrong type", t => {
+    assert.throws(() => create(t, { prefixes: "!", statusMode: "shuffle", timezone: "Mars/Olympus" }), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.problems, [
+            "prefixes must be an array of strings, got string",
+            "statusMode must be one of random, sequential, weighted, got shuffle",
+            "timezone must be an IANA timezone like Europe/Amsterdam, got Mars/Olympus"
+        ]);
+        return true;
+    });
+});
+
+test("throws a ConfigError without the Discord API", () => {
+    assert.throws(() => new DiscordBot({ prefixes: ["!"] }), /discordApi is required, e\.g\. discordApi: require\("discord\.js"\)/);
+});
+
+test("creates a bot from a config file with options from the environment", t => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-config-"));
+    const file = path.join(folder, "config.json");
+    const harness = create(t);
+    const env = { DBF_TOKEN: process.env.DBF_TOKEN, DBF_PREFIXES: process.env.DBF_PREFIXES, DBF_SLASH_CACHE: process.env.DBF_SLASH_CACHE };
+    t.after(() => {
+        for (const [key, value] of Object.entries(env)) {
+            if (typeof value === "undefined") delete process.env[key];
+            else process.env[key] = value;
+        }
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    fs.writeFileSync(file, JSON.stringify({ token: "from file", prefixes: ["?"], locale: "de", slashCache: false }));
+    process.env.DBF_TOKEN = "from env";
+    process.env.DBF_PREFIXES = "!, $";
+    process.env.DBF_SLASH_CACHE = "true";
+
+    const bot = DiscordBot.fromConfig(file, { discordApi: harness.discord, logTransports: [] });
+
+    assert.strictEqual(bot.token, "from env");
+    assert.deepStrictEqual(bot.data.prefixes, ["!", "$"]);
+    assert.strictEqual(bot.data.locale, "de");
+    assert.strictEqual(bot.data.path, folder);
+    assert.strictEqual(bot.__slashCache().path, folder + "/.slash-cache.json");
+});
+
+test("throws a ConfigError for a missing or broken config file", t => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-config-"));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(folder, "broken.json"), "{ token: ");
+
+    assert.throws(() => DiscordBot.fromConfig(path.join(folder, "missing.json")), /Config file .*missing\.json doesn't exist/);
+    assert.throws(() => DiscordBot.fromConfig(path.join(folder, "broken.json")), /Config file .*broken\.json isn't valid JSON/);
+});
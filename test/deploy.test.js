@@ -0,0 +1,102 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestHarness = require("../testing.js");
+
+/**
+ * Fake REST API that keeps the registered commands by route and records every call
+ */
+function fakeRest(registered = {}) {
+    const calls = [];
+    var id = 100;
+
+    class REST {
+        constructor(options) { this.version = options.version; }
+        setToken() { return this; }
+
+        async get(route) {
+            calls.push("GET " + route);
+            return JSON.parse(JSON.stringify(registered[route] || []));
+        }
+
+        async post(route, { body }) {
+            calls.push("POST " + route + " " + body.name);
+            registered[route] = [...(registered[route] || []), Object.assign({ id: String(id++) }, body)];
+        }
+
+        async patch(route, { body }) {
+            const [, base, command] = route.match(/^(.*)\/(\d+)$/);
+            calls.push("PATCH " + base + " " + registered[base].find(existing => existing.id === command).name);
+            registered[base] = registered[base].map(existing => existing.id === command ? Object.assign({ id: command }, body) : existing);
+        }
+
+        async delete(route) {
+            const [, base, command] = route.match(/^(.*)\/(\d+)$/);
+            calls.push("DELETE " + base + " " + registered[base].find(existing => existing.id === command).name);
+            registered[base] = registered[base].filter(existing => existing.id !== command);
+        }
+    }
+
+    return { REST, calls, registered };
+}
+
+async function start(t, data) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/deploy", slash: true }, data)).start();
+    t.after(() => harness.destroy());
+
+    await harness.bot.__syncing;
+    return harness;
+}
+
+test("only creates, updates and deletes the commands that changed", async t => {
+    const rest = fakeRest();
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/deploy", slash: true, restApi: rest.REST });
+    const global = "/applications/" + harness.client.user.id + "/commands";
+
+    rest.registered[global] = [
+        { id: "1", type: 1, name: "echo", description: "Old description" },
+        { id: "2", type: 1, name: "stale", description: "Removed command" }
+    ];
+
+    harness.start();
+    t.after(() => harness.destroy());
+    await harness.bot.__syncing;
+
+    assert.deepStrictEqual(rest.calls, ["GET " + global, "DELETE " + global + " stale", "PATCH " + global + " echo", "POST " + global + " roll"]);
+    assert.deepStrictEqual(rest.registered[global].map(command => command.name).sort(), ["echo", "roll"]);
+
+    rest.calls.length = 0;
+    await harness.bot.__syncCommands();
+    assert.deepStrictEqual(rest.calls, ["GET " + global]);
+});
+
+test("deploys to the development servers in dev mode", async t => {
+    const rest = fakeRest();
+    const harness = await start(t, { restApi: rest.REST, dev: true, devGuildId: ["10", "20"] });
+    const route = "/applications/" + harness.client.user.id + "/guilds/";
+
+    assert.deepStrictEqual(Object.keys(rest.registered).sort(), [route + "10/commands", route + "20/commands"]);
+    assert.deepStrictEqual(rest.registered[route + "10/commands"].map(command => command.name).sort(), ["echo", "roll"]);
+});
+
+test("skips deployments that didn't change since the last start", async t => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-deploy-"));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    fs.cpSync(__dirname + "/fixtures/deploy", folder, { recursive: true });
+
+    const rest = fakeRest();
+    const first = await start(t, { path: folder, restApi: rest.REST, slashCache: ".slash-cache.json" });
+    first.destroy();
+    await first.bot.__slashCache().close();
+
+    assert.strictEqual(rest.calls.filter(call => call.startsWith("POST")).length, 2);
+    assert.ok(fs.existsSync(folder + "/.slash-cache.json"));
+
+    rest.calls.length = 0;
+    await start(t, { path: folder, restApi: rest.REST, slashCache: ".slash-cache.json" });
+    assert.deepStrictEqual(rest.calls, []);
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+const { MemoryStore } = require("../dbf.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/errors" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("logs a failed command with an error ID and tells the user the ID", async t => {
+    const harness = start(t);
+    const errors = [];
+    harness.bot.onerror = (error, info) => errors.push([error.message, info.kind, info.name, info.id]);
+
+    const [reply] = await harness.message("!crash");
+    const entry = harness.logs.find(entry => entry.level === "error");
+
+    assert.strictEqual(entry.message, "Command crash failed");
+    assert.strictEqual(entry.error.message, "Crashed");
+    assert.match(entry.errorId, /^[0-9A-F]{8}$/);
+    assert.deepStrictEqual(errors, [["Crashed", "command", "crash", entry.errorId]]);
+    assert.ok(reply.embeds[0].description.includes(entry.errorId));
+});
+
+test("sends reports of errors to the bot owners", async t => {
+    const owner = "100000000000000001";
+    const harness = start(t, { owners: [owner], errorReports: { owners: true } });
+    harness.createUser({ id: owner, username: "Owner" });
+
+    await harness.message("!crash");
+    const report = harness.sent.find(record => record.channel.type === "dm");
+    const entry = harness.logs.find(entry => entry.level === "error");
+
+    assert.strictEqual(report.embeds[0].title, "Error " + entry.errorId);
+    assert.match(report.embeds[0].description, /Error: Crashed/);
+});
+
+test("sends errors of deferred buttons as a follow-up without editing their message", async t => {
+    const harness = start(t);
+
+    const message = await harness.channel.send({ content: "Menu", embeds: [new harness.discord.MessageEmbed().setTitle("Menu")] });
+
+    const interaction = await harness.button("explode", { message });
+    const error = interaction.sent.find(record => record.type === "followUp");
+    const entry = harness.logs.find(entry => entry.level === "error");
+
+    assert.ok(error);
+    assert.strictEqual(error.ephemeral, true);
+    assert.ok(error.embeds[0].description.includes("report error `" + entry.errorId + "`"));
+    assert.strictEqual(entry.message, "Button explode failed");
+    assert.strictEqual(message.content, "Menu");
+    assert.strictEqual(message.embeds[0].title, "Menu");
+    assert.ok(!interaction.sent.some(record => record.type === "editReply"));
+});
+
+test("handles errors that happen before the handler of an interaction runs", async t => {
+    class BrokenStore extends MemoryStore {
+        async get(namespace, key) {
+            if (namespace === "user_locales") throw new Error("Store is down");
+            return super.get(namespace, key);
+        }
+    }
+
+    const harness = start(t, { store: new BrokenStore() });
+
+    const interaction = await harness.button("explode");
+    const entry = harness.logs.find(entry => entry.level === "error");
+
+    assert.strictEqual(entry.error.message, "Store is down");
+    assert.strictEqual(entry.message, "Interaction explode failed");
+    assert.ok(interaction.sent[0].embeds[0].description.includes(entry.errorId));
+});
@@ -0,0 +1,10 @@
+module.exports = {
+    name: "greet",
+    arguments: [
+        { name: "name", type: "string" },
+        { name: "greeting", type: "string", optional: true, default: "Hello" }
+    ],
+    execute(message, args) {
+        return message.reply(args.greeting + ", " + args.name);
+    }
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    name: "say",
+    arguments: [
+        { name: "times", type: "integer", min: 1 },
+        { name: "text", type: "rest" },
+        { name: "loud", type: "boolean", flag: true }
+    ],
+    execute(message, args) {
+        return message.reply(JSON.stringify(args));
+    }
+};
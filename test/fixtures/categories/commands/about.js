@@ -0,0 +1,6 @@
+module.exports = {
+    name: "about",
+    execute(message) {
+        return message.reply("A test bot");
+    }
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    name: "joke",
+    aliases: ["pun"],
+    description: "Tells a joke",
+    execute(message) {
+        return message.reply("Why did the bot cross the road?");
+    }
+};
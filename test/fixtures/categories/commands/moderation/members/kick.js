@@ -0,0 +1,9 @@
+module.exports = {
+    name: "kick",
+    description: "Kicks a member",
+    permissions: ["KICK_MEMBERS"],
+    guildOnly: true,
+    execute(message) {
+        return message.reply("Kicked");
+    }
+};
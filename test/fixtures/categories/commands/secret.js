@@ -0,0 +1,7 @@
+module.exports = {
+    name: "secret",
+    hidden: true,
+    execute(message) {
+        return message.reply("You found it");
+    }
+};
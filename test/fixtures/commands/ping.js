@@ -0,0 +1,8 @@
+module.exports = {
+    name: "ping",
+    description: "Replies with Pong!",
+    cooldown: 5,
+    execute(message) {
+        return message.reply("Pong!");
+    }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+    name: "roll",
+    description: "Rolls dice",
+    hybrid: true,
+    arguments: [
+        { name: "sides", type: "integer", min: 2, default: 6 },
+        { name: "label", type: "rest", optional: true }
+    ],
+    execute(context) {
+        const { sides, label } = context.options;
+        return context.reply((context.interaction ? "/" : "!") + "roll d" + sides + (label ? " " + label : ""));
+    }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+    data: {
+        name: "echo",
+        description: "Repeats a text",
+        toJSON() {
+            return { name: this.name, description: this.description, options: [{ type: 3, name: "text", description: "Text to repeat", required: true }] };
+        }
+    },
+    execute(interaction) {
+        return interaction.reply(interaction.options.getString("text"));
+    }
+};
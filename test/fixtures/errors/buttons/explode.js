@@ -0,0 +1,7 @@
+module.exports = {
+    id: "explode",
+    async execute(interaction) {
+        await interaction.deferUpdate();
+        throw new Error("Boom");
+    }
+};
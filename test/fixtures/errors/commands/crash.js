@@ -0,0 +1,6 @@
+module.exports = {
+    name: "crash",
+    execute() {
+        throw new Error("Crashed");
+    }
+};
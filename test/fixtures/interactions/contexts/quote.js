@@ -0,0 +1,12 @@
+module.exports = {
+    data: {
+        name: "Quote",
+        type: 3,
+        toJSON() {
+            return { name: this.name, type: this.type };
+        }
+    },
+    execute(interaction) {
+        return interaction.reply("> " + interaction.targetMessage.content);
+    }
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    id: "feedback",
+    execute(interaction) {
+        return interaction.reply({ content: "Thanks for: " + interaction.fields.getTextInputValue("text"), ephemeral: true });
+    }
+};
@@ -0,0 +1,18 @@
+const fruits = ["Apple", "Apricot", "Banana", "Cherry"];
+
+module.exports = {
+    data: {
+        name: "fruit",
+        description: "Picks a fruit",
+        toJSON() {
+            return { name: this.name, description: this.description, options: [{ type: 3, name: "name", description: "Fruit", required: true, autocomplete: true }] };
+        }
+    },
+    autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        return interaction.respond(fruits.filter(fruit => fruit.toLowerCase().startsWith(focused)).map(fruit => ({ name: fruit, value: fruit })));
+    },
+    execute(interaction) {
+        return interaction.reply("You picked " + interaction.options.getString("name"));
+    }
+};
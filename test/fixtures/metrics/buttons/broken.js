@@ -0,0 +1,6 @@
+module.exports = {
+    id: "broken",
+    execute() {
+        throw new Error("Broken button");
+    }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+    name: "order",
+    cooldown: 3,
+    middleware: [
+        async (context, next) => {
+            context.order.push("command");
+            await next();
+        }
+    ],
+    execute(message, args, raw_args, context) {
+        context.order.push("execute");
+        return message.reply(context.order.join(" > "));
+    }
+};
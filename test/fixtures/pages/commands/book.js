@@ -0,0 +1,7 @@
+module.exports = {
+    name: "book",
+    execute(message, args, raw_args, context) {
+        const pages = context.bot.book = [1, 2, 3, 4].map(chapter => new context.bot.discord.MessageEmbed().setTitle("Chapter " + chapter));
+        return context.bot.paginate(message, pages, { timeout: Number(args[0]) || 10000 });
+    }
+};
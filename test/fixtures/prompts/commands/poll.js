@@ -0,0 +1,12 @@
+module.exports = {
+    name: "poll",
+    async execute(message, args, raw_args, context) {
+        const answers = await context.prompt.wizard()
+            .text("name", "What should the poll be called?", { timeout: Number(args[0]) || 60000, validate: name => name.length <= 10 || "That name is too long" })
+            .choose("length", "How long should it run?", [{ label: "One hour", value: 1 }, { label: "One day", value: 24 }])
+            .confirm("ping", answers => "Ping everyone for " + answers.name + "?")
+            .run();
+
+        if (answers) return message.reply("Poll " + answers.name + " for " + answers.length + "h" + (answers.ping ? " with ping" : ""));
+    }
+};
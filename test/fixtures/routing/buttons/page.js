@@ -0,0 +1,7 @@
+module.exports = {
+    // The `g` flag makes a regex remember where it stopped matching, so the same regex is used for many clicks
+    id: /^page-(?<page>\d+)$/g,
+    execute(interaction, context) {
+        return interaction.reply("Page " + context.params.page);
+    }
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    id: "vote:1:results",
+    execute(interaction) {
+        return interaction.reply("Results of poll 1");
+    }
+};
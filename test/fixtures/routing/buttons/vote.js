@@ -0,0 +1,6 @@
+module.exports = {
+    id: "vote:{poll}:{choice}",
+    execute(interaction, context) {
+        return interaction.reply("Voted " + context.params.choice + " in poll " + context.params.poll);
+    }
+};
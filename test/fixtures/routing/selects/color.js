@@ -0,0 +1,6 @@
+module.exports = {
+    id: "color:{user}",
+    execute(interaction, context) {
+        return interaction.reply("Set the color of " + context.params.user + " to " + interaction.values.join(", "));
+    }
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    name: "report",
+    cron: "30 9 * * 1-5",
+    timezone: "UTC",
+    execute(bot, task) {
+        bot.reports = (bot.reports || 0) + 1;
+        bot.lastReport = task.lastRun;
+    }
+};
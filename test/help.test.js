@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/categories", help: true }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("lists the commands the author can run by category", async t => {
+    const harness = start(t);
+
+    const [reply] = await harness.message("!help");
+    const fields = reply.embeds[0].fields.map(field => [field.name, field.value]);
+    assert.deepStrictEqual(fields, [["Fun", "`joke`"], ["Other", "`about`, `help`"]]);
+
+    const moderator = harness.createUser({ username: "Moderator" });
+    harness.createMember(harness.guild, moderator, { permissions: ["KICK_MEMBERS"] });
+    harness.advance(5000);
+
+    const [list] = await harness.message("!help", { author: moderator });
+    assert.deepStrictEqual(list.embeds[0].fields.map(field => field.name), ["Fun", "Members", "Other"]);
+});
+
+test("shows the details of a command by name, alias or with the prefix", async t => {
+    const harness = start(t);
+
+    for (const name of ["joke", "pun", "!joke"]) {
+        harness.advance(5000);
+        const [reply] = await harness.message("!help " + name);
+        const embed = reply.embeds[0];
+
+        assert.strictEqual(embed.title, "!joke");
+        assert.strictEqual(embed.description, "Tells a joke");
+        assert.deepStrictEqual(embed.fields.find(field => field.name === "Aliases").value, "`pun`");
+        assert.deepStrictEqual(embed.fields.find(field => field.name === "Category").value, "fun");
+    }
+});
+
+test("doesn't show hidden commands or commands the author can't run", async t => {
+    const harness = start(t);
+
+    for (const name of ["secret", "kick"]) {
+        harness.advance(5000);
+        const [reply] = await harness.message("!help " + name);
+        assert.strictEqual(reply.embeds[0].description, "This command doesn't exist");
+    }
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/hybrid", slash: true }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("runs the same command with a prefix and as a slash command", async t => {
+    const harness = start(t);
+
+    const [reply] = await harness.message("!roll 20 for damage");
+    assert.strictEqual(reply.content, "!roll d20 for damage");
+
+    harness.advance(5000);
+    const interaction = await harness.slash("roll", { sides: 12, label: "initiative" });
+    assert.strictEqual(interaction.sent[0].type, "reply");
+    assert.strictEqual(interaction.sent[0].content, "/roll d12 initiative");
+
+    harness.advance(5000);
+    const defaults = await harness.slash("roll");
+    assert.strictEqual(defaults.sent[0].content, "/roll d6");
+});
+
+test("shares the checks of the command between both ways of using it", async t => {
+    const harness = start(t);
+
+    await harness.message("!roll");
+    const interaction = await harness.slash("roll");
+
+    assert.strictEqual(interaction.sent[0].ephemeral, true);
+    assert.strictEqual(interaction.sent[0].embeds[0].description, "Please wait `1` second before using this command again");
+});
+
+test("makes the slash command definition from the arguments", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(harness.client.slash.get("roll"), harness.client.commands.get("roll"));
+    assert.deepStrictEqual(harness.bot.__slashData(harness.client.commands.get("roll")), {
+        name: "roll",
+        description: "Rolls dice",
+        options: [
+            { type: 4, name: "sides", description: "sides", required: false, min_value: 2 },
+            { type: 3, name: "label", description: "label", required: false }
+        ]
+    });
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/interactions", slash: true }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("answers autocomplete requests of slash commands", async t => {
+    const harness = start(t);
+
+    const interaction = await harness.autocomplete("fruit", "name", { name: "ap" });
+    assert.deepStrictEqual(interaction.choices.map(choice => choice.name), ["Apple", "Apricot"]);
+
+    const [reply] = (await harness.slash("fruit", { name: "Cherry" })).sent;
+    assert.strictEqual(reply.content, "You picked Cherry");
+});
+
+test("runs context menus with their target", async t => {
+    const harness = start(t);
+    const message = await harness.channel.send("Hello there");
+
+    const [reply] = (await harness.contextMenu("Quote", message)).sent;
+    assert.strictEqual(reply.content, "> Hello there");
+});
+
+test("runs the handler of a submitted modal", async t => {
+    const harness = start(t);
+
+    const [reply] = (await harness.modal("feedback", { text: "Great bot" })).sent;
+    assert.strictEqual(reply.content, "Thanks for: Great bot");
+    assert.strictEqual(reply.ephemeral, true);
+});
+
+test("ignores slash commands, context menus and autocomplete without slash", async t => {
+    const harness = start(t, { slash: false });
+
+    assert.deepStrictEqual((await harness.slash("fruit", { name: "Apple" })).sent, []);
+    assert.deepStrictEqual((await harness.contextMenu("Quote", await harness.channel.send("Hi"))).sent, []);
+    assert.strictEqual((await harness.autocomplete("fruit", "name", { name: "a" })).choices, null);
+
+    const [reply] = (await harness.modal("feedback", { text: "Still works" })).sent;
+    assert.strictEqual(reply.content, "Thanks for: Still works");
+});
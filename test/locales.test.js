@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures", localesPath: "translations" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+async function cooldown(harness, wait) {
+    await harness.message("!ping");
+    harness.advance(wait);
+    const [reply] = await harness.message("!ping");
+    harness.advance(5000);
+    return reply.embeds[0].description;
+}
+
+test("answers in the locale of the server with its plural rules", async t => {
+    const harness = start(t);
+
+    await harness.bot.settings.set(harness.guild.id, "locale", "pl");
+
+    assert.strictEqual(await cooldown(harness, 4000), "Poczekaj `1` sekundę");
+    assert.strictEqual(await cooldown(harness, 2000), "Poczekaj `3` sekundy");
+    assert.strictEqual(await cooldown(harness, 0), "Poczekaj `5` sekund");
+    assert.strictEqual(await cooldown(harness, 2500), "Poczekaj `2.5` sekundy");
+});
+
+test("prefers the locale of the user and falls back to the language", async t => {
+    const harness = start(t);
+
+    await harness.bot.settings.set(harness.guild.id, "locale", "pl");
+    await harness.bot.setUserLocale(harness.user.id, "de-AT");
+
+    assert.strictEqual(await cooldown(harness, 4000), "Bitte warte `1` Sekunde");
+    assert.strictEqual(await cooldown(harness, 3000), "Bitte warte `2` Sekunden");
+
+    await harness.bot.setUserLocale(harness.user.id);
+    assert.strictEqual(await cooldown(harness, 3000), "Poczekaj `2` sekundy");
+});
+
+test("falls back to the default responses for missing translations", t => {
+    const harness = start(t);
+
+    assert.strictEqual(harness.bot.translate("de", "command_cooldown", { cooldown: 1 }), "Bitte warte `1` Sekunde");
+    assert.strictEqual(harness.bot.translate("de", "command_disabled"), "This command is disabled here");
+    assert.strictEqual(harness.bot.translate("fr", "command_cooldown", { cooldown: 2 }), "Please wait `2` seconds before using this command again");
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestHarness = require("../testing.js");
+const { Logger, FileTransport } = require("../dbf.js");
+
+test("logs commands with structured fields", async t => {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" }).start();
+    t.after(() => harness.destroy());
+
+    await harness.message("!ping");
+    const entry = harness.logs.find(entry => entry.message === "Ran command ping");
+
+    assert.strictEqual(entry.level, "debug");
+    assert.strictEqual(entry.command, "ping");
+    assert.strictEqual(entry.guild, harness.guild.id);
+    assert.strictEqual(entry.user, harness.user.id);
+    assert.strictEqual(typeof entry.duration, "number");
+});
+
+test("only writes entries at or above the level of the logger and of each transport", () => {
+    const all = [];
+    const errors = [];
+    const logger = new Logger({ level: "info", transports: [entry => all.push(entry.message), { level: "error", log: entry => errors.push(entry.message) }] });
+
+    logger.debug("Debug").info("Info").warn("Warn").error("Error");
+    assert.deepStrictEqual(all, ["Info", "Warn", "Error"]);
+    assert.deepStrictEqual(errors, ["Error"]);
+});
+
+test("adds the fields of a child logger to its entries", () => {
+    const entries = [];
+    const logger = new Logger({ transports: [entry => entries.push(entry)] }).child({ shard: 1 });
+
+    logger.warn("Slow", { duration: 5 });
+    assert.strictEqual(entries[0].shard, 1);
+    assert.strictEqual(entries[0].duration, 5);
+    assert.strictEqual(entries[0].level, "warn");
+});
+
+test("rotates log files that get too big", t => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-logs-"));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    const logger = new Logger({ transports: [new FileTransport(folder + "/bot.log", { maxSize: 200, maxFiles: 2 })] });
+    for (var i = 0; i < 10; i++) logger.info("Entry " + i);
+
+    assert.deepStrictEqual(fs.readdirSync(folder).sort(), ["bot.log", "bot.log.1", "bot.log.2"]);
+    const last = fs.readFileSync(folder + "/bot.log", "utf8").trim().split("\n").map(line => JSON.parse(line));
+    assert.strictEqual(last[last.length - 1].message, "Entry 9");
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures", buttonsPath: "metrics/buttons" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("counts commands and interactions by status", async t => {
+    const harness = start(t);
+
+    await harness.message("!ping");
+    await harness.message("!ping");
+    await harness.message("!nope");
+    await harness.button("broken");
+    await harness.bot.block(harness.user.id);
+    await harness.button("broken");
+
+    const stats = harness.bot.stats();
+    assert.strictEqual(stats.unknownCommands, 1);
+    assert.strictEqual(stats.guilds, 1);
+
+    const ping = stats.commands["prefix:ping"];
+    assert.strictEqual(ping.total, 2);
+    assert.strictEqual(ping.success, 1);
+    assert.strictEqual(ping.cooldown, 1);
+    assert.strictEqual(ping.duration.count, 1);
+
+    const broken = stats.interactions["button:broken"];
+    assert.strictEqual(broken.total, 2);
+    assert.strictEqual(broken.error, 1);
+    assert.strictEqual(broken.blocked, 1);
+});
+
+test("writes the metrics in the Prometheus text format", async t => {
+    const harness = start(t);
+
+    await harness.message("!ping");
+    const text = harness.bot.prometheus();
+
+    assert.match(text, /^# TYPE dbf_commands_total counter$/m);
+    assert.match(text, /^dbf_commands_total{status="success",type="prefix",command="ping"} 1$/m);
+    assert.match(text, /^dbf_command_duration_seconds_count{type="prefix",command="ping"} 1$/m);
+    assert.match(text, /^dbf_guilds 1$/m);
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/middleware" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+test("runs added middleware in order, then the middleware of the command", async t => {
+    const harness = start(t);
+
+    harness.bot.use(async (context, next) => {
+        context.order = ["first"];
+        await next();
+        context.order.push("after");
+    }, async (context, next) => {
+        context.order.push("second");
+        await next();
+    });
+
+    const [reply] = await harness.message("!order");
+    assert.strictEqual(reply.content, "first > second > command > execute");
+});
+
+test("stops the command when middleware doesn't call next", async t => {
+    const harness = start(t);
+
+    harness.bot.use(context => context.message.reply("Stopped"));
+
+    const replies = await harness.message("!order");
+    assert.deepStrictEqual(replies.map(reply => reply.content), ["Stopped"]);
+});
+
+test("answers with the cooldown left, rounded to tenths of a second", async t => {
+    const harness = start(t);
+
+    harness.bot.use(async (context, next) => {
+        context.order = [];
+        await next();
+    });
+
+    await harness.message("!order");
+    harness.advance(500);
+    const [wait] = await harness.message("!order");
+    assert.strictEqual(wait.embeds[0].description, "Please wait `2.5` seconds before using this command again");
+
+    harness.advance(1500);
+    const [again] = await harness.message("!order");
+    assert.strictEqual(again.embeds[0].description, "Please wait `1` second before using this command again");
+});
+
+test("only runs the built-in checks listed in checks", async t => {
+    const harness = start(t, { checks: ["permissions", "arguments"] });
+
+    harness.bot.use(async (context, next) => {
+        context.order = [];
+        await next();
+    });
+
+    const replies = [...await harness.message("!order"), ...await harness.message("!order")];
+    assert.deepStrictEqual(replies.map(reply => reply.content), ["command > execute", "command > execute"]);
+
+    assert.throws(() => new TestHarness({ checks: ["cooldowns"] }), /Unknown check cooldowns\. Use one of /);
+});
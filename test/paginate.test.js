@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/pages" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+function components(message) {
+    return message.components.flatMap(row => row.components);
+}
+
+/**
+ * Uses a button or the select menu of a paginator by its action, e.g. `next` or `jump`
+ */
+function turn(harness, message, action, data = {}) {
+    const component = components(message).find(component => component.customId.endsWith(":" + action));
+    if (component.type === "SELECT_MENU") return harness.select(component.customId, data.values, Object.assign({ message }, data));
+    return harness.button(component.customId, Object.assign({ message }, data));
+}
+
+test("turns pages with the buttons and the select menu", async t => {
+    const harness = start(t);
+
+    const [sent] = await harness.message("!book");
+    const message = sent.message;
+    assert.strictEqual(message.embeds[0].title, "Chapter 1");
+    assert.strictEqual(message.embeds[0].footer.text, "Page 1 of 4");
+    assert.deepStrictEqual(components(message).map(component => component.disabled), [true, true, false, false, false]);
+
+    await turn(harness, message, "next");
+    assert.strictEqual(message.embeds[0].title, "Chapter 2");
+
+    await turn(harness, message, "last");
+    assert.strictEqual(message.embeds[0].title, "Chapter 4");
+    assert.deepStrictEqual(components(message).map(component => component.disabled), [false, false, true, true, false]);
+
+    await turn(harness, message, "jump", { values: ["2"] });
+    assert.strictEqual(message.embeds[0].title, "Chapter 3");
+    assert.strictEqual(message.embeds[0].footer.text, "Page 3 of 4");
+
+    // The embeds given to `paginate()` don't get the footers
+    assert.strictEqual(harness.bot.book[0].footer, null);
+});
+
+test("only lets the user who used the command turn pages", async t => {
+    const harness = start(t);
+    const other = harness.createUser({ username: "Other" });
+    harness.createMember(harness.guild, other);
+
+    const [sent] = await harness.message("!book");
+    const interaction = await turn(harness, sent.message, "next", { user: other });
+
+    assert.strictEqual(interaction.sent[0].ephemeral, true);
+    assert.strictEqual(sent.message.embeds[0].title, "Chapter 1");
+});
+
+test("disables the components after the timeout", async t => {
+    const harness = start(t);
+
+    const [sent] = await harness.message("!book 20");
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.ok(components(sent.message).every(component => component.disabled));
+
+    const interaction = await turn(harness, sent.message, "next");
+    assert.ok(interaction.sent.some(record => record.type === "update"));
+    assert.deepStrictEqual(sent.message.components, []);
+});
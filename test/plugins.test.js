@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+function greeter(ticks = []) {
+    return {
+        name: "greeter",
+        defaults: { greeting: "Hello", punctuation: "!" },
+        commands: [{
+            name: "greet",
+            execute(message, args, raw_args, context) {
+                const { greeting, punctuation } = context.plugin.config;
+                return message.reply(context.t("greeter_greeting", { greeting, punctuation }));
+            }
+        }],
+        buttons: [{ id: "greeter:{name}", execute: (interaction, context) => interaction.reply("Hi " + context.params.name) }],
+        // Two listeners of the same event
+        events: [{ name: "tick", execute: () => ticks.push("first") }, { name: "tick", execute: () => ticks.push("second") }],
+        responses: { greeter_greeting: ["{{greeting}}{{punctuation}}"] }
+    };
+}
+
+test("registers the modules of a plugin with its config", async t => {
+    const ticks = [];
+    const harness = start(t, { pluginOptions: { greeter: { punctuation: "?" } } });
+    harness.bot.plugin(greeter(ticks), { greeting: "Hey" });
+
+    const [reply] = await harness.message("!greet");
+    assert.strictEqual(reply.content, "Hey?");
+
+    const [clicked] = (await harness.button("greeter:Ann")).sent;
+    assert.strictEqual(clicked.content, "Hi Ann");
+
+    harness.client.emit("tick");
+    assert.deepStrictEqual(ticks, ["first", "second"]);
+});
+
+test("removes everything of a plugin when it is removed", async t => {
+    const ticks = [];
+    const harness = start(t);
+    harness.bot.plugin(greeter(ticks));
+    harness.bot.removePlugin("greeter");
+
+    const [reply] = await harness.message("!greet");
+    assert.strictEqual(reply.embeds[0].description, "This command doesn't exist");
+    assert.ok(!(await harness.button("greeter:Ann")).sent.some(record => record.content === "Hi Ann"));
+    harness.client.emit("tick");
+    assert.deepStrictEqual(ticks, []);
+    assert.ok(!harness.bot.plugins.has("greeter"));
+});
+
+test("doesn't load a plugin that clashes with what the bot already has", async t => {
+    const harness = start(t);
+    const plugin = greeter();
+    plugin.commands.push({ name: "pong", aliases: ["ping"], execute() {} });
+
+    assert.throws(() => harness.bot.plugin(plugin), /Plugin greeter clashes with the existing command ping/);
+    assert.ok(!harness.client.commands.has("greet"));
+    assert.ok(!harness.bot.plugins.has("greeter"));
+
+    harness.bot.plugin(greeter());
+    assert.throws(() => harness.bot.plugin(greeter()), /Plugin greeter is already added/);
+});
+
+test("leaves nothing behind when a plugin fails to load", async t => {
+    const harness = start(t);
+    const plugin = greeter();
+    plugin.tasks = [{ name: "broken", cron: "every day", execute() {} }];
+
+    assert.throws(() => harness.bot.plugin(plugin), /Invalid cron expression every day/);
+    assert.ok(!harness.client.commands.has("greet"));
+    assert.ok(![...harness.client.buttons.keys()].includes("greeter:{name}"));
+    assert.deepStrictEqual(harness.client.listeners("tick"), []);
+});
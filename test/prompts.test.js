@@ -0,0 +1,87 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/prompts" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+/**
+ * Waits for the bot to send its next question
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+function text(record) {
+    return record.content || record.embeds[0].description;
+}
+
+function component(record, action) {
+    return record.components.flatMap(row => row.components).find(component => component.customId.endsWith(":" + action));
+}
+
+test("asks the questions of a wizard in order", async t => {
+    const harness = start(t);
+
+    const command = harness.message("!poll");
+    await settle();
+    assert.strictEqual(text(harness.last()), "What should the poll be called?");
+
+    await harness.message("A name that is too long");
+    await settle();
+    assert.strictEqual(text(harness.last()), "That name is too long");
+
+    await harness.message("Lunch");
+    await settle();
+    const choose = harness.last();
+    assert.strictEqual(text(choose), "How long should it run?");
+    await harness.select(component(choose, "choose").customId, ["24"], { message: choose.message });
+    await settle();
+
+    const confirm = harness.last();
+    assert.strictEqual(text(confirm), "Ping everyone for Lunch?");
+    await harness.button(component(confirm, "yes").customId, { message: confirm.message });
+
+    await command;
+    assert.strictEqual(harness.last().content, "Poll Lunch for 24h with ping");
+    assert.deepStrictEqual(confirm.message.components, []);
+});
+
+test("only takes answers from the user who used the command", async t => {
+    const harness = start(t);
+    const other = harness.createUser({ username: "Other" });
+    harness.createMember(harness.guild, other);
+
+    const command = harness.message("!poll");
+    await settle();
+    await harness.message("Other", { author: other });
+    await harness.message("Mine");
+    await settle();
+
+    const choose = harness.last();
+    const interaction = await harness.select(component(choose, "choose").customId, ["1"], { message: choose.message, user: other });
+    assert.strictEqual(interaction.sent[0].content, "Only the person who used this command can answer");
+
+    await harness.button(component(choose, "cancel").customId, { message: choose.message });
+    await command;
+    assert.strictEqual(text(harness.last()), "Cancelled");
+});
+
+test("stops when the user cancels or doesn't answer in time", async t => {
+    const harness = start(t);
+
+    const cancelled = harness.message("!poll");
+    await settle();
+    await harness.message("cancel");
+    await cancelled;
+    assert.strictEqual(text(harness.last()), "Cancelled");
+
+    harness.advance(5000);
+    await harness.message("!poll 20");
+    assert.strictEqual(text(harness.last()), "You took too long to answer");
+});
@@ -0,0 +1,61 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestHarness = require("../testing.js");
+
+function command(name, reply) {
+    return "module.exports = { name: " + JSON.stringify(name) + ", execute: message => message.reply(" + JSON.stringify(reply) + ") };\n";
+}
+
+function start(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-reload-"));
+    fs.mkdirSync(folder + "/commands");
+    fs.writeFileSync(folder + "/commands/hello.js", command("hello", "Hello"));
+
+    const harness = new TestHarness({ prefixes: ["!"], path: folder }).start();
+    t.after(() => {
+        harness.destroy();
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    return { harness, folder };
+}
+
+async function run(harness, content) {
+    harness.advance(5000); // Skip the cooldown
+    const [reply] = await harness.message(content);
+    return reply && (reply.content || reply.embeds[0].description);
+}
+
+test("reloads a changed command by name", async t => {
+    const { harness, folder } = start(t);
+
+    assert.strictEqual(await run(harness, "!hello"), "Hello");
+
+    fs.writeFileSync(folder + "/commands/hello.js", command("hello", "Hi"));
+    assert.strictEqual(harness.bot.reload("commands", "hello"), true);
+    assert.strictEqual(await run(harness, "!hello"), "Hi");
+});
+
+test("picks up new and deleted files when reloading a folder", async t => {
+    const { harness, folder } = start(t);
+
+    fs.writeFileSync(folder + "/commands/bye.js", command("bye", "Bye"));
+    fs.rmSync(folder + "/commands/hello.js");
+    assert.strictEqual(harness.bot.reload("commands"), true);
+
+    assert.strictEqual(await run(harness, "!bye"), "Bye");
+    assert.ok(!harness.client.commands.has("hello"));
+});
+
+test("keeps the old version when the new one can't be loaded", async t => {
+    const { harness, folder } = start(t);
+
+    fs.writeFileSync(folder + "/commands/hello.js", "module.exports = {");
+    assert.strictEqual(harness.bot.reload("commands", "hello"), false);
+    assert.strictEqual(await run(harness, "!hello"), "Hello");
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures/routing" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+async function click(harness, customId) {
+    const [reply] = (await harness.button(customId)).sent;
+    return reply ? reply.content : null;
+}
+
+test("routes buttons and select menus by string patterns with params", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await click(harness, "vote:7:yes"), "Voted yes in poll 7");
+    assert.strictEqual(await click(harness, harness.bot.customId("vote:{poll}:{choice}", { poll: 8, choice: "no" })), "Voted no in poll 8");
+
+    const [reply] = (await harness.select("color:" + harness.user.id, ["red", "blue"])).sent;
+    assert.strictEqual(reply.content, "Set the color of " + harness.user.id + " to red, blue");
+});
+
+test("prefers an exact custom ID over a pattern", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await click(harness, "vote:1:results"), "Results of poll 1");
+    assert.strictEqual(await click(harness, "vote:2:results"), "Voted results in poll 2");
+});
+
+test("matches the same regex on every click", async t => {
+    const harness = start(t);
+
+    assert.strictEqual(await click(harness, "page-1"), "Page 1");
+    assert.strictEqual(await click(harness, "page-2"), "Page 2");
+    assert.strictEqual(await click(harness, "page-2"), "Page 2");
+    assert.strictEqual(await click(harness, "page-x"), null);
+});
+
+test("falls through to onunmatched when nothing matches", async t => {
+    const harness = start(t);
+    const unmatched = [];
+    harness.bot.onunmatched = interaction => unmatched.push(interaction.customId);
+
+    assert.strictEqual(await click(harness, "vote:7"), null);
+    assert.strictEqual(await click(harness, "vote:7:yes:extra"), null);
+    assert.deepStrictEqual((await harness.select("size:" + harness.user.id, ["big"])).sent, []);
+    assert.deepStrictEqual(unmatched, ["vote:7", "vote:7:yes:extra", "size:" + harness.user.id]);
+});
+
+test("can't build custom IDs with missing params or over 100 characters", async t => {
+    const harness = start(t);
+
+    assert.throws(() => harness.bot.customId("vote:{poll}:{choice}", { poll: 1 }), /Missing custom ID param "choice"/);
+    assert.throws(() => harness.bot.customId("vote:{poll}", { poll: "x".repeat(100) }), RangeError);
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/categories" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+async function run(harness, content, options) {
+    harness.advance(5000); // Skip the cooldown
+    const [reply] = await harness.message(content, options);
+    return reply ? reply.content || reply.embeds[0].description : null;
+}
+
+test("uses the prefixes of a server instead of the default ones", async t => {
+    const harness = start(t);
+    const other = harness.createChannel(harness.createGuild({ name: "Other Server" }), { name: "general" });
+
+    await harness.bot.settings.set(harness.guild.id, "prefixes", ["?"]);
+
+    assert.strictEqual(await run(harness, "?about"), "A test bot");
+    assert.strictEqual(await run(harness, "!about"), null);
+    assert.strictEqual(await run(harness, "!about", { channel: other }), "A test bot");
+    assert.strictEqual(await run(harness, "!about", { channel: harness.createDM(harness.user) }), "A test bot");
+
+    await harness.bot.settings.reset(harness.guild.id, "prefixes");
+    assert.strictEqual(await run(harness, "!about"), "A test bot");
+});
+
+test("can be used by mentioning the bot with mentionPrefix", async t => {
+    const harness = start(t, { mentionPrefix: true });
+    const id = harness.client.user.id;
+
+    assert.strictEqual(await run(harness, "<@" + id + "> about"), "A test bot");
+    assert.strictEqual(await run(harness, "<@!" + id + ">about"), "A test bot");
+});
+
+test("disables commands and categories in a server or a channel", async t => {
+    const harness = start(t);
+    const settings = harness.bot.settings;
+    const other = harness.createChannel(harness.guild, { name: "other" });
+
+    await settings.disableCommand(harness.guild.id, "about");
+    assert.strictEqual(await run(harness, "!about"), "This command is disabled here");
+    await settings.enableCommand(harness.guild.id, "about");
+    assert.strictEqual(await run(harness, "!about"), "A test bot");
+
+    await settings.disableCategory(harness.guild.id, "fun", harness.channel.id);
+    assert.strictEqual(await run(harness, "!joke"), "This command is disabled here");
+    assert.strictEqual(await run(harness, "!joke", { channel: other }), "Why did the bot cross the road?");
+    assert.strictEqual(await run(harness, "!joke", { channel: harness.createDM(harness.user) }), "Why did the bot cross the road?");
+
+    await settings.enableCategory(harness.guild.id, "fun", harness.channel.id);
+    assert.strictEqual(await run(harness, "!joke"), "Why did the bot cross the road?");
+});
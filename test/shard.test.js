@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t) {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" }).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+/**
+ * Makes the harness the first of two shards. The second shard is a fake client with fixed counts and stats
+ */
+function shard(harness) {
+    const other = {
+        bot: {
+            shard: { ids: [1], localCounts: () => ({ guilds: 3, channels: 6, users: 9, members: 12 }) },
+            stats: () => ({ ping: 60, uptime: 500, guilds: 3, users: 9, unknownCommands: 2, commands: { "prefix:ping": { total: 4, success: 4, duration: { count: 4, sum: 0.4, average: 0.1 } } }, interactions: {} })
+        }
+    };
+    const clients = [harness.client, other];
+    const calls = [];
+
+    harness.client.shard = {
+        ids: [0],
+        count: 2,
+        async broadcastEval(script, options = {}) {
+            calls.push(options.shard);
+            if (typeof options.shard === "number") return script(clients[options.shard], options.context);
+            return Promise.all(clients.map(client => script(client, options.context)));
+        }
+    };
+
+    return calls;
+}
+
+test("runs on a single shard when the bot isn't sharded", async t => {
+    const harness = start(t);
+    const shard_helper = harness.bot.shard;
+
+    assert.strictEqual(shard_helper.enabled, false);
+    assert.deepStrictEqual(shard_helper.ids, [0]);
+    assert.strictEqual(shard_helper.count, 1);
+    assert.deepStrictEqual(await shard_helper.counts(), { guilds: 1, channels: 1, users: 2, members: 0, shards: 1 });
+    assert.deepStrictEqual(await shard_helper.broadcastEval(client => client.user.username), ["Test Bot"]);
+    assert.throws(() => shard_helper.evalOn(1, client => client.user.id), /Shard 1 doesn't exist\. There is 1 shard/);
+});
+
+test("adds up counts and stats across shards", async t => {
+    const harness = start(t);
+    shard(harness);
+
+    await harness.message("!ping");
+
+    assert.deepStrictEqual(await harness.bot.shard.counts(), { guilds: 4, channels: 7, users: 11, members: 12, shards: 2 });
+
+    const stats = await harness.bot.shard.stats();
+    assert.strictEqual(stats.guilds, 4);
+    assert.strictEqual(stats.unknownCommands, 2);
+    assert.strictEqual(stats.commands["prefix:ping"].total, 5);
+    assert.strictEqual(stats.commands["prefix:ping"].duration.count, 5);
+    assert.deepStrictEqual(stats.shards.map(shard => shard.ids), [[0], [1]]);
+});
+
+test("runs functions on the shard of a server", async t => {
+    const harness = start(t);
+    const calls = shard(harness);
+
+    // The shard of a server is (id >> 22) % shards
+    const guild_id = String((1n << 22n) * 5n);
+    assert.strictEqual(harness.bot.shard.shardFor(guild_id), 1);
+    assert.deepStrictEqual(await harness.bot.shard.evalOn(guild_id, client => client.bot.shard.ids), [1]);
+    assert.deepStrictEqual(calls, [1]);
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function activity(harness) {
+    return harness.client.user.presence.activities[0].name;
+}
+
+test("rotates the statuses in order with placeholders", async t => {
+    const harness = start(t, {
+        statuses: [{ name: "{{prefix}}help in {{servers}} servers" }, async () => ({ name: "Loaded", duration: 1000 }), "Third"],
+        statusMode: "sequential",
+        statusInterval: 40
+    });
+
+    await wait(5);
+    assert.strictEqual(activity(harness), "!help in 1 servers");
+
+    await wait(60);
+    assert.strictEqual(activity(harness), "Loaded");
+
+    // The status set its own duration, so the rotation waits longer
+    await wait(60);
+    assert.strictEqual(activity(harness), "Loaded");
+});
+
+test("pauses the rotation for a status set right away", async t => {
+    const harness = start(t, { statuses: ["First", "Second"], statusMode: "sequential", statusInterval: 40 });
+
+    await harness.bot.setStatus({ name: "Maintenance", status: "dnd" });
+    assert.strictEqual(activity(harness), "Maintenance");
+    assert.strictEqual(harness.client.user.presence.status, "dnd");
+
+    await wait(80);
+    assert.strictEqual(activity(harness), "Maintenance");
+
+    harness.bot.resumeStatus();
+    await wait(5);
+    assert.notStrictEqual(activity(harness), "Maintenance");
+
+    await harness.bot.setStatus("Restarting", 20);
+    await wait(80);
+    assert.notStrictEqual(activity(harness), "Restarting");
+
+    await assert.rejects(harness.bot.setStatus("Soon", "later"), /Invalid status duration later/);
+});
+
+test("logs failed status functions by their name", async t => {
+    const harness = start(t, {
+        statuses: [async function members() { throw new Error("No members"); }, () => { throw new Error("Anonymous"); }],
+        statusMode: "sequential",
+        statusInterval: 10
+    });
+
+    await wait(100);
+    const failed = harness.logs.filter(entry => entry.level === "error").map(entry => entry.message);
+    assert.deepStrictEqual(failed.slice(0, 2), ["Status members failed", "Status status function failed"]);
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestHarness = require("../testing.js");
+const { JSONStore } = require("../dbf.js");
+
+test("forgets values after their time to live", async t => {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" }).start();
+    t.after(() => harness.destroy());
+    const store = harness.bot.store;
+
+    await store.set("votes", "poll", 3, 1000);
+    await store.set("votes", "forever", 1);
+    assert.strictEqual(await store.get("votes", "poll"), 3);
+
+    harness.advance(1000);
+    assert.strictEqual(await store.get("votes", "poll"), undefined);
+    assert.strictEqual(await store.has("votes", "poll"), false);
+    assert.deepStrictEqual(await store.keys("votes"), ["forever"]);
+});
+
+test("keeps cooldowns in a JSON store when the bot restarts", async t => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "dbf-store-"));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const file = folder + "/store.json";
+
+    const first = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures", store: new JSONStore(file, { saveDelay: 0 }) }).start();
+    t.after(() => first.destroy());
+    const [pong] = await first.message("!ping");
+    assert.strictEqual(pong.content, "Pong!");
+    first.destroy();
+    await first.bot.store.close();
+
+    assert.ok(fs.existsSync(file));
+    assert.ok(!fs.existsSync(file + ".tmp"));
+
+    const second = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures", store: new JSONStore(file) }).start();
+    t.after(() => second.destroy());
+
+    const [wait] = await second.message("!ping");
+    assert.match(wait.embeds[0].description, /^Please wait `[\d.]+` seconds? before using this command again$/);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+const { Task } = require("../dbf.js");
+
+function start(t, data = {}) {
+    const harness = new TestHarness(Object.assign({ prefixes: ["!"], path: __dirname + "/fixtures/schedule" }, data)).start();
+    t.after(() => harness.destroy());
+    return harness;
+}
+
+/**
+ * Moves the time of the harness to a date
+ */
+function travel(harness, date) {
+    harness.advance(Date.parse(date) - Date.now());
+}
+
+/**
+ * Gets when a task with a schedule runs next, from the current time of the harness
+ */
+function next(harness, module) {
+    const task = new Task(harness.bot, Object.assign({ name: "test", timezone: "UTC", execute() {} }, module)).start();
+    const next_run = task.nextRun;
+    task.stop();
+    return next_run.toISOString();
+}
+
+test("runs cron expressions with ranges, steps and lists", async t => {
+    const harness = start(t);
+
+    // 1 January 2027 is a Friday
+    travel(harness, "2027-01-01T17:50:00Z");
+    assert.strictEqual(next(harness, { cron: "*/15 9-17 * * 1-5" }), "2027-01-04T09:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "0-30/10 * * * *" }), "2027-01-01T18:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "0 12 1,15 * *" }), "2027-01-15T12:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "0 0 * * 7" }), "2027-01-03T00:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "@hourly" }), "2027-01-01T18:00:00.000Z");
+
+    travel(harness, "2027-01-04T09:01:00Z");
+    assert.strictEqual(next(harness, { cron: "*/15 9-17 * * 1-5" }), "2027-01-04T09:15:00.000Z");
+});
+
+test("finds the next run across months and years", async t => {
+    const harness = start(t);
+
+    travel(harness, "2026-12-31T23:59:30Z");
+    assert.strictEqual(next(harness, { cron: "0 0 1 * *" }), "2027-01-01T00:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "0 0 31 * *" }), "2027-01-31T00:00:00.000Z");
+
+    travel(harness, "2027-01-31T12:00:00Z");
+    assert.strictEqual(next(harness, { cron: "0 9 1 * *" }), "2027-02-01T09:00:00.000Z");
+    assert.strictEqual(next(harness, { cron: "0 0 29 2 *" }), "2028-02-29T00:00:00.000Z");
+});
+
+test("runs cron expressions in the timezone of the task", async t => {
+    const harness = start(t);
+
+    travel(harness, "2027-01-01T00:00:00Z");
+    assert.strictEqual(next(harness, { cron: "0 9 * * *", timezone: "Europe/Amsterdam" }), "2027-01-01T08:00:00.000Z");
+
+    travel(harness, "2027-07-01T00:00:00Z");
+    assert.strictEqual(next(harness, { cron: "0 9 * * *", timezone: "Europe/Amsterdam" }), "2027-07-01T07:00:00.000Z");
+});
+
+test("rejects invalid cron expressions, intervals and timezones", async t => {
+    const harness = start(t);
+    const task = module => () => new Task(harness.bot, Object.assign({ name: "test", execute() {} }, module));
+
+    assert.throws(task({ cron: "* * *" }), /Use 5 fields/);
+    assert.throws(task({ cron: "61 * * * *" }), /61 is out of range/);
+    assert.throws(task({ cron: "5-1 * * * *" }), /5-1 is out of range/);
+    assert.throws(task({ cron: "*/0 * * * *" }), /\*\/0 is out of range/);
+    assert.throws(task({ cron: "every minute" }), /Invalid cron expression every minute/);
+    assert.throws(task({ cron: "0 0 31 2 *" }), /never matches/);
+    assert.throws(task({ cron: "0 9 * * *", timezone: "Mars/Olympus" }), RangeError);
+    assert.throws(task({ interval: "90 minutes" }), /needs a cron expression or an interval of at least a second/);
+    assert.throws(task({ interval: "500ms" }), /needs a cron expression or an interval of at least a second/);
+
+    assert.throws(() => new TestHarness({ timezone: "Mars/Olympus" }), /Mars\/Olympus/);
+});
+
+test("parses durations of intervals", async t => {
+    const harness = start(t);
+    const interval = value => new Task(harness.bot, { name: "test", interval: value, execute() {} }).interval;
+
+    assert.strictEqual(interval("1h30m"), 5400000);
+    assert.strictEqual(interval("1.5s"), 1500);
+    assert.strictEqual(interval("2W 1D"), 1296000000);
+    assert.strictEqual(interval(60000), 60000);
+});
+
+test("loads tasks from the tasks folder and runs them on demand", async t => {
+    const harness = start(t);
+    travel(harness, "2027-01-01T10:00:00Z");
+
+    const task = harness.bot.tasks.get("report");
+    assert.strictEqual(task.active, true);
+
+    harness.bot.stopTask("report");
+    assert.strictEqual(task.nextRun, null);
+
+    harness.bot.startTask("report");
+    assert.strictEqual(task.nextRun.toISOString(), "2027-01-04T09:30:00.000Z");
+
+    assert.strictEqual(await harness.bot.triggerTask("report"), true);
+    assert.strictEqual(harness.bot.reports, 1);
+    assert.strictEqual(harness.bot.lastReport.toISOString(), task.lastRun.toISOString());
+    assert.strictEqual(task.nextRun.toISOString(), "2027-01-04T09:30:00.000Z");
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const TestHarness = require("../testing.js");
+
+test("creates a different ID for every server, channel and user", t => {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" });
+    t.after(() => harness.destroy());
+
+    const other = harness.createUser({ username: "Other" });
+    const ids = [harness.guild.id, harness.channel.id, harness.user.id, other.id, harness.client.user.id];
+
+    assert.strictEqual(new Set(ids).size, ids.length);
+    assert.strictEqual(harness.client.users.cache.get(harness.client.user.id), harness.client.user);
+});
+
+test("runs a prefix command on the fake client", async t => {
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" }).start();
+    t.after(() => harness.destroy());
+
+    const [reply] = await harness.message("!ping");
+    assert.strictEqual(reply.type, "reply");
+    assert.strictEqual(reply.content, "Pong!");
+});
+
+test("only moves the time while it is started", t => {
+    const now = Date.now;
+    const harness = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" });
+    t.after(() => harness.destroy());
+
+    assert.strictEqual(Date.now, now);
+
+    harness.start().advance(60000);
+    assert.ok(Date.now() - now() >= 59000);
+
+    harness.destroy();
+    assert.strictEqual(Date.now, now);
+});
+
+test("can't start two harnesses at once", t => {
+    const first = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" }).start();
+    const second = new TestHarness({ prefixes: ["!"], path: __dirname + "/fixtures" });
+    t.after(() => {
+        first.destroy();
+        second.destroy();
+    });
+
+    assert.throws(() => second.start(), /Another TestHarness is still started/);
+
+    first.destroy();
+    assert.doesNotThrow(() => second.start());
+});
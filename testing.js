@@ -0,0 +1,1070 @@
+/**
+ * Made by The Yule (theyule.xyz) at Yoo-Babobo (yoo-babobo.com).
+ * Offline test harness for DBF bots. Runs a `DiscordBot` on a fake Discord client, so commands can be tested without a token.
+ */
+
+"use strict";
+
+const EventEmitter = require("events");
+const DiscordBot = require("./dbf.js");
+
+/**
+ * Runs a Discord bot on a fake client with fake servers, channels, members and permissions. Example:
+ * ```js
+ * const TestHarness = require("@yoo-babobo/dbf.js/testing");
+ *
+ * test("ping", async t => {
+ *     const harness = new TestHarness({ prefixes: ["!"], path: __dirname }).start();
+ *     t.after(() => harness.destroy()); // Also restores the time when the test fails
+ *
+ *     const [reply] = await harness.message("!ping");
+ *     assert.strictEqual(reply.content, "Pong!");
+ *
+ *     harness.advance(5000); // Skip the cooldown
+ * });
+ * ```
+ */
+class TestHarness {
+    /**
+     * Constructor for creating the test harness
+     * @param {Object} data Discord bot data, see `DiscordBot`. `discordApi` is always the fake Discord API, `slashCache` and `logging` default to `false`, and everything is logged to `logs` instead of the console
+     * @returns {TestHarness} Test harness
+     */
+    constructor(data = {}) {
+        /**
+         * Everything the bot sent, replied, edited or deferred, in order. Each record has a `type`, `content`, `embeds`, `components`, `ephemeral` and the `channel`, `message` or `interaction` it belongs to
+         */
+        this.sent = [];
+        /**
+         * Milliseconds added to the real time by `advance()`
+         */
+        this.offset = 0;
+        /**
+         * Internal list of `awaitMessages()` calls waiting for messages
+         */
+        this.__collectors = [];
+        /**
+         * Internal counter for creating IDs
+         */
+        this.__id = 0;
+        /**
+         * Everything the bot logged, in order, instead of printing it. Each entry has a `time`, `level`, `message` and fields like `command` and `error`
+         */
+        this.logs = [];
+
+        const harness = this;
+        /**
+         * Fake Discord API, with a client that belongs to this test harness
+         */
+        this.discord = Object.assign({}, API, {
+            Client: class extends FakeClient {
+                constructor(options) { super(harness, options); }
+            }
+        });
+
+        /**
+         * Internal real `Date.now`, kept while the harness is started and `Date.now` includes the `offset`
+         */
+        this.__now = null;
+
+        /**
+         * Discord bot running on the fake client
+         */
+        this.bot = new DiscordBot(Object.assign({
+            token: "test",
+            statuses: [{ name: "Testing" }],
+            slashCache: false,
+            logging: false,
+            logLevel: "debug",
+            logTransports: [entry => this.logs.push(entry)]
+        }, data, { discordApi: this.discord }));
+        /**
+         * Fake Discord client of the bot
+         */
+        this.client = this.bot.client;
+
+        /**
+         * Default server used for simulated messages and interactions
+         */
+        this.guild = this.createGuild({ name: "Test Server" });
+        /**
+         * Default channel used for simulated messages and interactions
+         */
+        this.channel = this.createChannel(this.guild, { name: "general" });
+        /**
+         * Default user used for simulated messages and interactions
+         */
+        this.user = this.createUser({ username: "Tester" });
+        /**
+         * Member of the default user in the default server
+         */
+        this.member = this.createMember(this.guild, this.user);
+    }
+
+    /**
+     * Starts the bot by triggering the `ready` event, which loads all commands, events, buttons and select menus. From now until `destroy()`, `Date.now` includes the time moved forward with `advance()`. Only one harness can be started at a time, so the time is never moved by two harnesses at once
+     * @returns {TestHarness} Test harness
+     */
+    start() {
+        if (running && running !== this) throw new Error("Another TestHarness is still started. Call destroy() on it before starting a new one");
+
+        if (!this.__now) {
+            running = this;
+            this.__now = Date.now;
+            Date.now = () => this.__now() + this.offset;
+        }
+
+        this.client.emit("ready", this.client);
+        return this;
+    }
+
+    /**
+     * Stops the bot and restores the real time. Can be called more than once, e.g. at the end of a test and in `t.after()`
+     * @returns {TestHarness} Test harness
+     */
+    destroy() {
+        clearInterval(this.bot.statusLoop);
+        this.bot.logout();
+        for (const collector of this.__collectors) clearTimeout(collector.timer);
+        this.__collectors = [];
+
+        if (this.__now) {
+            Date.now = this.__now;
+            this.__now = null;
+            running = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Moves the fake time forward, e.g. to skip cooldowns or let stored values expire. Only changes `Date.now` while the harness is started
+     * @param {Number} ms Milliseconds to move forward
+     * @returns {TestHarness} Test harness
+     */
+    advance(ms) {
+        this.offset += ms;
+        return this;
+    }
+
+    /**
+     * Removes all records of sent messages
+     * @returns {TestHarness} Test harness
+     */
+    clear() {
+        this.sent = [];
+        return this;
+    }
+
+    /**
+     * Gets the last record of a sent message
+     * @returns {Object} Record
+     */
+    last() {
+        return this.sent[this.sent.length - 1];
+    }
+
+    /**
+     * Internal function for creating an ID that looks like a Discord ID
+     * @returns {String} ID
+     */
+    __snowflake() {
+        return "1" + String(++this.__id).padStart(17, "0");
+    }
+
+    /**
+     * Internal function for recording something the bot sent
+     * @param {String} type `send`, `reply`, `edit`, `delete`, `followUp`, `editReply`, `deleteReply`, `update`, `deferReply`, `deferUpdate`, `showModal` or `respond`
+     * @param {String|Object} options Message content or options
+     * @param {Object} data Channel, message or interaction the record belongs to
+     * @returns {Object} Record
+     */
+    __record(type, options = {}, data = {}) {
+        if (typeof options === "string") options = { content: options };
+
+        const record = Object.assign({
+            type,
+            content: typeof options.content === "string" ? options.content : null,
+            embeds: options.embeds || [],
+            components: options.components || [],
+            ephemeral: !!options.ephemeral,
+            options
+        }, data);
+
+        this.sent.push(record);
+        return record;
+    }
+
+    /**
+     * Creates a fake server
+     * @param {Object} data `id`, `name`, `ownerId` and `botPermissions` (defaults to `["ADMINISTRATOR"]`)
+     * @returns {Object} Server
+     */
+    createGuild(data = {}) {
+        const guild = {
+            id: data.id || this.__snowflake(),
+            name: data.name || "Server",
+            ownerId: data.ownerId || null,
+            client: this.client,
+            members: null,
+            roles: null,
+            channels: null,
+            me: null
+        };
+
+        guild.members = manager(guild_member => guild_member);
+        guild.roles = manager(role => role);
+        guild.channels = manager(channel => channel);
+
+        // Every member has the @everyone role, which has the same ID as the server
+        this.createRole(guild, { id: guild.id, name: "@everyone", permissions: data.everyonePermissions || ["VIEW_CHANNEL", "SEND_MESSAGES", "READ_MESSAGE_HISTORY", "USE_APPLICATION_COMMANDS"] });
+        guild.me = this.createMember(guild, this.client.user, { permissions: data.botPermissions || ["ADMINISTRATOR"] });
+
+        this.client.guilds.cache.set(guild.id, guild);
+        return guild;
+    }
+
+    /**
+     * Creates a fake role in a server
+     * @param {Object} guild Server
+     * @param {Object} data `id`, `name` and `permissions`
+     * @returns {Object} Role
+     */
+    createRole(guild, data = {}) {
+        const role = {
+            id: data.id || this.__snowflake(),
+            name: data.name || "role",
+            guild,
+            permissions: new FakePermissions(data.permissions)
+        };
+
+        guild.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    /**
+     * Creates a fake user
+     * @param {Object} data `id`, `username`, `discriminator` and `bot`
+     * @returns {Object} User
+     */
+    createUser(data = {}) {
+        const harness = this;
+        const user = {
+            id: data.id || this.__snowflake(),
+            username: data.username || "User",
+            discriminator: data.discriminator || "0001",
+            bot: data.bot || false,
+            get tag() { return this.username + "#" + this.discriminator; },
+            toString() { return "<@" + this.id + ">"; },
+            dmChannel: null,
+            createDM: async () => harness.createDM(user),
+            send: async options => harness.createDM(user).send(options)
+        };
+
+        this.client.users.cache.set(user.id, user);
+        return user;
+    }
+
+    /**
+     * Creates a fake member of a server
+     * @param {Object} guild Server
+     * @param {Object} user User
+     * @param {Object} data `nickname`, `roles` (list of role IDs) and `permissions`
+     * @returns {Object} Member
+     */
+    createMember(guild, user, data = {}) {
+        const member = {
+            id: user.id,
+            user,
+            guild,
+            nickname: data.nickname || null,
+            get displayName() { return this.nickname || this.user.username; },
+            roles: manager(role => role),
+            permissions: null,
+            toString() { return "<@!" + this.id + ">"; }
+        };
+
+        for (const id of [guild.id, ...(data.roles || [])]) {
+            const role = guild.roles.cache.get(id);
+            if (role) member.roles.cache.set(id, role);
+        }
+
+        const own = new FakePermissions(data.permissions);
+        Object.defineProperty(member, "permissions", {
+            get: () => guild.ownerId === user.id ? new FakePermissions(["ADMINISTRATOR"]) : new FakePermissions([...own.list, ...[...member.roles.cache.values()].flatMap(role => role.permissions.list)])
+        });
+
+        guild.members.cache.set(user.id, member);
+        return member;
+    }
+
+    /**
+     * Creates a fake channel in a server
+     * @param {Object} guild Server
+     * @param {Object} data `id`, `name`, `type` (defaults to `text`) and `overwrites`, an object with `allow` and `deny` lists of permissions by user or role ID
+     * @returns {Object} Channel
+     */
+    createChannel(guild, data = {}) {
+        const channel = new FakeChannel(this, Object.assign({ type: "text" }, data, { id: data.id || this.__snowflake(), guild }));
+        guild.channels.cache.set(channel.id, channel);
+        this.client.channels.cache.set(channel.id, channel);
+        return channel;
+    }
+
+    /**
+     * Gets or creates the DM channel of a user
+     * @param {Object} user User
+     * @returns {Object} Channel
+     */
+    createDM(user) {
+        if (user.dmChannel) return user.dmChannel;
+
+        user.dmChannel = new FakeChannel(this, { id: this.__snowflake(), type: "dm", recipient: user, guild: null });
+        this.client.channels.cache.set(user.dmChannel.id, user.dmChannel);
+        return user.dmChannel;
+    }
+
+    /**
+     * Simulates a user sending a message and waits until the bot is done handling it
+     * @param {String} content Content of the message
+     * @param {Object} options `author` (defaults to the default user) and `channel` (defaults to the default channel, use `createDM()` for DMs)
+     * @returns {Promise<Array>} Records of everything the bot sent while handling the message
+     */
+    async message(content, options = {}) {
+        const author = options.author || this.user;
+        const channel = options.channel || this.channel;
+        const message = new FakeMessage(this, { content, author, channel });
+        const start = this.sent.length;
+
+        for (const collector of [...this.__collectors]) collector.collect(message);
+
+        await this.client.dispatch("messageCreate", message);
+        return this.sent.slice(start);
+    }
+
+    /**
+     * Simulates an interaction and waits until the bot is done handling it
+     * @param {Object} data Data of the interaction, see `FakeInteraction`
+     * @returns {Promise<Object>} The interaction, with the records of everything the bot sent while handling it as `sent`
+     */
+    async interaction(data) {
+        const interaction = new FakeInteraction(this, Object.assign({ user: this.user, channel: this.channel }, data));
+        const start = this.sent.length;
+
+        await this.client.dispatch("interactionCreate", interaction);
+        interaction.sent = this.sent.slice(start);
+        return interaction;
+    }
+
+    /**
+     * Simulates a slash command
+     * @param {String} name Name of the slash command
+     * @param {Object} options Values of the options by name. Users, members, channels and roles made by the harness can be used as values
+     * @param {Object} data `user`, `channel`, `subcommand` and other data of the interaction
+     * @returns {Promise<Object>} The interaction
+     */
+    slash(name, options = {}, data = {}) {
+        return this.interaction(Object.assign({ kind: "command", commandName: name, options }, data));
+    }
+
+    /**
+     * Simulates an autocomplete request of a slash command
+     * @param {String} name Name of the slash command
+     * @param {String} focused Name of the focused option
+     * @param {Object} options Values of the options by name
+     * @param {Object} data Other data of the interaction
+     * @returns {Promise<Object>} The interaction, with the choices the bot responded with as `choices`
+     */
+    autocomplete(name, focused, options = {}, data = {}) {
+        return this.interaction(Object.assign({ kind: "autocomplete", commandName: name, options, focused }, data));
+    }
+
+    /**
+     * Simulates a user or message context menu
+     * @param {String} name Name of the context menu
+     * @param {Object} target User or message the context menu was used on
+     * @param {Object} data Other data of the interaction
+     * @returns {Promise<Object>} The interaction
+     */
+    contextMenu(name, target, data = {}) {
+        return this.interaction(Object.assign({ kind: "context", commandName: name, target }, data));
+    }
+
+    /**
+     * Simulates a button click
+     * @param {String} customId Custom ID of the button
+     * @param {Object} data `message` the button is on and other data of the interaction
+     * @returns {Promise<Object>} The interaction
+     */
+    button(customId, data = {}) {
+        return this.interaction(Object.assign({ kind: "button", customId }, data));
+    }
+
+    /**
+     * Simulates choosing from a select menu
+     * @param {String} customId Custom ID of the select menu
+     * @param {Array} values Chosen values
+     * @param {Object} data `message` the select menu is on and other data of the interaction
+     * @returns {Promise<Object>} The interaction
+     */
+    select(customId, values, data = {}) {
+        return this.interaction(Object.assign({ kind: "select", customId, values: [].concat(values) }, data));
+    }
+
+    /**
+     * Simulates submitting a modal
+     * @param {String} customId Custom ID of the modal
+     * @param {Object} fields Values of the text inputs by custom ID
+     * @param {Object} data Other data of the interaction
+     * @returns {Promise<Object>} The interaction
+     */
+    modal(customId, fields = {}, data = {}) {
+        return this.interaction(Object.assign({ kind: "modal", customId, fields }, data));
+    }
+}
+
+/**
+ * Fake Discord client. Works like the `discord.js` client, without connecting to Discord
+ */
+class FakeClient extends EventEmitter {
+    /**
+     * Constructor for creating the fake client
+     * @param {TestHarness} harness Test harness the client belongs to
+     * @param {Object} options Client options
+     * @returns {FakeClient} Fake client
+     */
+    constructor(harness, options) {
+        super();
+        this.harness = harness;
+        this.options = options;
+        this.token = null;
+        this.readyAt = new Date();
+        this.ws = { ping: 0 };
+        this.guilds = manager(guild => guild);
+        this.channels = manager(channel => channel);
+        this.users = manager(user => user);
+        this.user = {
+            id: "100000000000000000",
+            username: "Test Bot",
+            discriminator: "0000",
+            bot: true,
+            tag: "Test Bot#0000",
+            presence: null,
+            setPresence(presence) { this.presence = presence; return presence; }
+        };
+        this.users.cache.set(this.user.id, this.user);
+    }
+
+    /**
+     * Milliseconds since the client was created
+     */
+    get uptime() {
+        return Date.now() - this.readyAt.getTime();
+    }
+
+    /**
+     * Pretends to log in
+     * @param {String} token Discord bot token
+     * @returns {Promise<String>} Token
+     */
+    async login(token) {
+        this.token = token;
+        return token;
+    }
+
+    /**
+     * Pretends to log out
+     */
+    destroy() {
+        this.token = null;
+    }
+
+    /**
+     * Whether the client is ready
+     * @returns {Boolean} Always `true`
+     */
+    isReady() {
+        return true;
+    }
+
+    /**
+     * Triggers an event and waits for all of its listeners to finish
+     * @param {String} event Name of the event
+     * @param  {...any} args Arguments for the listeners
+     * @returns {Promise}
+     */
+    async dispatch(event, ...args) {
+        await Promise.all(this.listeners(event).map(listener => listener(...args)));
+    }
+}
+
+/**
+ * Fake `Collection` from `discord.js`
+ */
+class Collection extends Map {
+    first() { return this.values().next().value; }
+    last() { return [...this.values()].pop(); }
+    find(fn) { for (const [key, value] of this) if (fn(value, key, this)) return value; }
+    findKey(fn) { for (const [key, value] of this) if (fn(value, key, this)) return key; }
+    filter(fn) { return new Collection([...this].filter(([key, value]) => fn(value, key, this))); }
+    map(fn) { return [...this].map(([key, value]) => fn(value, key, this)); }
+    some(fn) { return [...this].some(([key, value]) => fn(value, key, this)); }
+    every(fn) { return [...this].every(([key, value]) => fn(value, key, this)); }
+    reduce(fn, initial) { return [...this].reduce((result, [key, value]) => fn(result, value, key, this), initial); }
+    clone() { return new Collection(this); }
+    toJSON() { return [...this.values()]; }
+}
+
+/**
+ * Fake permissions. `ADMINISTRATOR` has every permission
+ */
+class FakePermissions {
+    /**
+     * Constructor for creating the fake permissions
+     * @param {Array} list List of permission names
+     * @returns {FakePermissions} Fake permissions
+     */
+    constructor(list = []) {
+        this.list = [...new Set([].concat(list || []).map(permission => String(permission).toUpperCase()))];
+    }
+
+    /**
+     * Checks whether all permissions are included
+     * @param {String|Array} permissions Permission name or list of permission names
+     * @param {Boolean} checkAdmin Whether `ADMINISTRATOR` counts as every permission
+     * @returns {Boolean} Whether all permissions are included
+     */
+    has(permissions, checkAdmin = true) {
+        if (checkAdmin && this.list.includes("ADMINISTRATOR")) return true;
+        return [].concat(permissions).every(permission => this.list.includes(String(permission).toUpperCase()));
+    }
+
+    /**
+     * Lists the permission names
+     * @returns {Array} List of permission names
+     */
+    toArray() {
+        return [...this.list];
+    }
+}
+
+/**
+ * Fake text or DM channel. Records everything sent in it
+ */
+class FakeChannel {
+    /**
+     * Constructor for creating the fake channel
+     * @param {TestHarness} harness Test harness the channel belongs to
+     * @param {Object} data `id`, `name`, `type`, `guild`, `recipient` and `overwrites`
+     * @returns {FakeChannel} Fake channel
+     */
+    constructor(harness, data) {
+        this.harness = harness;
+        this.client = harness.client;
+        this.id = data.id;
+        this.name = data.name || null;
+        this.type = data.type;
+        this.guild = data.guild;
+        this.guildId = data.guild ? data.guild.id : null;
+        this.recipient = data.recipient || null;
+        this.overwrites = data.overwrites || {};
+        this.messages = manager(message => message);
+    }
+
+    /**
+     * Sends a message in the channel
+     * @param {String|Object} options Message content or options
+     * @returns {Promise<FakeMessage>} The sent message
+     */
+    async send(options) {
+        const message = new FakeMessage(this.harness, { options, author: this.client.user, channel: this });
+        message.record = this.harness.__record("send", options, { channel: this, message });
+        return message;
+    }
+
+    /**
+     * Pretends to start typing
+     */
+    async sendTyping() {}
+
+    /**
+     * Gets the permissions of a user or member in the channel. `overwrites` are applied over the server permissions
+     * @param {Object} target User or member
+     * @returns {FakePermissions} Permissions, or `null` outside of servers
+     */
+    permissionsFor(target) {
+        if (!this.guild) return null;
+
+        const member = this.guild.members.cache.get(target.id);
+        if (!member) return null;
+
+        const permissions = new FakePermissions(member.permissions.list);
+        if (permissions.list.includes("ADMINISTRATOR")) return permissions;
+
+        for (const id of [...member.roles.cache.keys(), member.id]) {
+            const overwrite = this.overwrites[id];
+            if (!overwrite) continue;
+
+            const deny = [].concat(overwrite.deny || []).map(permission => permission.toUpperCase());
+            permissions.list = permissions.list.filter(permission => !deny.includes(permission));
+            permissions.list.push(...[].concat(overwrite.allow || []).map(permission => permission.toUpperCase()));
+        }
+
+        return new FakePermissions(permissions.list);
+    }
+
+    /**
+     * Waits for messages in the channel, like `discord.js`. Resolves when `max` messages are collected or after `time` milliseconds of real time
+     * @param {Object} options `filter`, `max` and `time`
+     * @returns {Promise<Collection>} Collected messages
+     */
+    awaitMessages(options = {}) {
+        return new Promise(resolve => {
+            const collected = new Collection();
+            const collector = {
+                collect: message => {
+                    if (message.channel !== this || (options.filter && !options.filter(message))) return;
+                    collected.set(message.id, message);
+                    if (collected.size >= (options.max || Infinity)) end();
+                },
+                timer: options.time ? setTimeout(() => end(), options.time) : null
+            };
+            const end = () => {
+                clearTimeout(collector.timer);
+                this.harness.__collectors = this.harness.__collectors.filter(other => other !== collector);
+                resolve(collected);
+            };
+
+            this.harness.__collectors.push(collector);
+        });
+    }
+
+    toString() {
+        return "<#" + this.id + ">";
+    }
+}
+
+/**
+ * Fake message, either simulated by the harness or sent by the bot
+ */
+class FakeMessage {
+    /**
+     * Constructor for creating the fake message
+     * @param {TestHarness} harness Test harness the message belongs to
+     * @param {Object} data `content` or `options`, `author` and `channel`
+     * @returns {FakeMessage} Fake message
+     */
+    constructor(harness, data) {
+        const options = typeof data.options === "string" ? { content: data.options } : data.options || {};
+
+        this.harness = harness;
+        this.client = harness.client;
+        this.id = harness.__snowflake();
+        this.content = typeof data.content === "string" ? data.content : options.content || "";
+        this.embeds = options.embeds || [];
+        this.components = options.components || [];
+        this.author = data.author;
+        this.channel = data.channel;
+        this.channelId = data.channel.id;
+        this.guild = data.channel.guild || null;
+        this.guildId = this.guild ? this.guild.id : null;
+        this.member = this.guild ? this.guild.members.cache.get(data.author.id) || null : null;
+        this.webhookID = null;
+        this.createdTimestamp = Date.now();
+        this.reactions = [];
+        this.deleted = false;
+
+        this.channel.messages.cache.set(this.id, this);
+    }
+
+    /**
+     * Replies to the message
+     * @param {String|Object} options Message content or options
+     * @returns {Promise<FakeMessage>} The sent message
+     */
+    async reply(options) {
+        const message = new FakeMessage(this.harness, { options, author: this.client.user, channel: this.channel });
+        message.record = this.harness.__record("reply", options, { channel: this.channel, message, reference: this });
+        return message;
+    }
+
+    /**
+     * Edits the message
+     * @param {String|Object} options Message content or options
+     * @returns {Promise<FakeMessage>} The message
+     */
+    async edit(options) {
+        if (typeof options === "string") options = { content: options };
+        if (typeof options.content === "string") this.content = options.content;
+        if (options.embeds) this.embeds = options.embeds;
+        if (options.components) this.components = options.components;
+        this.harness.__record("edit", options, { channel: this.channel, message: this });
+        return this;
+    }
+
+    /**
+     * Deletes the message
+     * @returns {Promise<FakeMessage>} The message
+     */
+    async delete() {
+        this.deleted = true;
+        this.channel.messages.cache.delete(this.id);
+        this.harness.__record("delete", {}, { channel: this.channel, message: this });
+        return this;
+    }
+
+    /**
+     * Reacts to the message
+     * @param {String} emoji Emoji
+     * @returns {Promise}
+     */
+    async react(emoji) {
+        this.reactions.push(emoji);
+    }
+}
+
+/**
+ * Fake interaction. The `kind` is `command`, `autocomplete`, `context`, `button`, `select` or `modal`
+ */
+class FakeInteraction {
+    /**
+     * Constructor for creating the fake interaction
+     * @param {TestHarness} harness Test harness the interaction belongs to
+     * @param {Object} data `kind`, `user`, `channel`, `commandName`, `options`, `subcommand`, `focused`, `target`, `customId`, `values`, `fields`, `message` and `locale`
+     * @returns {FakeInteraction} Fake interaction
+     */
+    constructor(harness, data) {
+        this.harness = harness;
+        this.client = harness.client;
+        this.kind = data.kind;
+        this.id = harness.__snowflake();
+        this.user = data.user;
+        this.channel = data.channel;
+        this.channelId = data.channel.id;
+        this.guild = data.channel.guild || null;
+        this.guildId = this.guild ? this.guild.id : null;
+        this.member = this.guild ? this.guild.members.cache.get(data.user.id) || null : null;
+        this.locale = data.locale || "en-US";
+        this.commandName = data.commandName || null;
+        this.customId = data.customId || null;
+        this.values = data.values || [];
+        this.message = data.message || null;
+        this.options = new FakeOptions(data.options || {}, data.subcommand || null, data.focused || null, this.guild);
+        this.fields = { getTextInputValue: id => typeof (data.fields || {})[id] === "undefined" ? null : String(data.fields[id]) };
+        this.targetId = data.target ? data.target.id : null;
+        this.targetUser = data.target && data.target.username ? data.target : null;
+        this.targetMessage = data.target && !data.target.username ? data.target : null;
+        this.replied = false;
+        this.deferred = false;
+        this.ephemeral = null;
+        this.reply_message = null;
+        this.choices = null;
+        this.modal = null;
+        this.webhook = { editMessage: async (message, options) => message.edit(options) };
+    }
+
+    isCommand() { return this.kind === "command"; }
+    isChatInputCommand() { return this.kind === "command"; }
+    isAutocomplete() { return this.kind === "autocomplete"; }
+    isContextMenu() { return this.kind === "context"; }
+    isButton() { return this.kind === "button"; }
+    isSelectMenu() { return this.kind === "select"; }
+    isModalSubmit() { return this.kind === "modal"; }
+    isMessageComponent() { return this.kind === "button" || this.kind === "select"; }
+    isRepliable() { return this.kind !== "autocomplete"; }
+    inGuild() { return !!this.guild; }
+
+    /**
+     * Internal function for throwing the same error as `discord.js` when an interaction is answered twice
+     */
+    __notAnswered() {
+        if (this.replied || this.deferred) throw new Error("The reply to this interaction has already been sent or deferred.");
+    }
+
+    /**
+     * Internal function for recording something sent for the interaction
+     * @param {String} type Type of the record
+     * @param {String|Object} options Message content or options
+     * @returns {Promise<FakeMessage>} The sent message
+     */
+    async __send(type, options) {
+        const message = new FakeMessage(this.harness, { options, author: this.client.user, channel: this.channel });
+        message.record = this.harness.__record(type, options, { channel: this.channel, message, interaction: this });
+        return message;
+    }
+
+    async reply(options) {
+        this.__notAnswered();
+        this.replied = true;
+        this.ephemeral = !!(options || {}).ephemeral;
+        this.reply_message = await this.__send("reply", options);
+        return options && options.fetchReply ? this.reply_message : undefined;
+    }
+
+    async deferReply(options = {}) {
+        this.__notAnswered();
+        this.deferred = true;
+        this.ephemeral = !!options.ephemeral;
+        this.harness.__record("deferReply", options, { channel: this.channel, interaction: this });
+    }
+
+    async editReply(options) {
+        if (!this.replied && !this.deferred) throw new Error("The reply to this interaction has not been sent or deferred.");
+        this.replied = true;
+        if (!this.reply_message) this.reply_message = new FakeMessage(this.harness, { options, author: this.client.user, channel: this.channel });
+        else await this.reply_message.edit(options);
+        this.harness.__record("editReply", options, { channel: this.channel, message: this.reply_message, interaction: this, ephemeral: this.ephemeral });
+        return this.reply_message;
+    }
+
+    async deleteReply() {
+        this.harness.__record("deleteReply", {}, { channel: this.channel, interaction: this });
+    }
+
+    async fetchReply() {
+        return this.reply_message;
+    }
+
+    async followUp(options) {
+        if (!this.replied && !this.deferred) throw new Error("The reply to this interaction has not been sent or deferred.");
+        return this.__send("followUp", options);
+    }
+
+    async update(options) {
+        this.__notAnswered();
+        this.replied = true;
+        if (this.message) await this.message.edit(options);
+        this.harness.__record("update", options, { channel: this.channel, message: this.message, interaction: this });
+    }
+
+    async deferUpdate() {
+        this.__notAnswered();
+        this.deferred = true;
+        // Like on Discord, `editReply()` now edits the message the component is on
+        this.reply_message = this.message || null;
+        this.harness.__record("deferUpdate", {}, { channel: this.channel, interaction: this });
+    }
+
+    async showModal(modal) {
+        this.__notAnswered();
+        this.modal = modal;
+        this.harness.__record("showModal", { components: modal.components }, { channel: this.channel, interaction: this, modal });
+    }
+
+    async respond(choices) {
+        this.choices = choices;
+        this.harness.__record("respond", {}, { channel: this.channel, interaction: this, choices });
+    }
+}
+
+/**
+ * Fake options of a slash command
+ */
+class FakeOptions {
+    /**
+     * Constructor for creating the fake options
+     * @param {Object} values Values of the options by name
+     * @param {String} subcommand Name of the subcommand
+     * @param {String} focused Name of the focused option, for autocomplete
+     * @param {Object} guild Server of the interaction
+     * @returns {FakeOptions} Fake options
+     */
+    constructor(values, subcommand, focused, guild) {
+        this.values = values;
+        this.subcommand = subcommand;
+        this.focused = focused;
+        this.guild = guild;
+    }
+
+    /**
+     * Gets an option like `discord.js`, with `user`, `member`, `channel` or `role` set for mentionable values
+     * @param {String} name Name of the option
+     * @returns {Object} Option, or `null` if it wasn't given
+     */
+    get(name) {
+        if (typeof this.values[name] === "undefined") return null;
+
+        const value = this.values[name];
+        const option = { name, value, focused: name === this.focused };
+
+        if (value && typeof value === "object") {
+            option.value = value.id;
+            if (value.username) {
+                option.user = value;
+                option.member = this.guild ? this.guild.members.cache.get(value.id) || null : null;
+            } else if (value.user) {
+                option.user = value.user;
+                option.member = value;
+            } else if (value.type) option.channel = value;
+            else option.role = value;
+        }
+
+        return option;
+    }
+
+    getString(name) { return this.__value(name, "value"); }
+    getInteger(name) { return this.__value(name, "value"); }
+    getNumber(name) { return this.__value(name, "value"); }
+    getBoolean(name) { return this.__value(name, "value"); }
+    getUser(name) { return this.__value(name, "user"); }
+    getMember(name) { return this.__value(name, "member"); }
+    getChannel(name) { return this.__value(name, "channel"); }
+    getRole(name) { return this.__value(name, "role"); }
+    getSubcommand() { return this.subcommand; }
+    getFocused(full = false) { return full ? this.get(this.focused) : this.__value(this.focused, "value"); }
+
+    /**
+     * Internal function for getting a property of an option
+     * @param {String} name Name of the option
+     * @param {String} key Property of the option
+     * @returns {*} Value, or `null` if the option wasn't given
+     */
+    __value(name, key) {
+        const option = this.get(name);
+        return option && typeof option[key] !== "undefined" ? option[key] : null;
+    }
+}
+
+/**
+ * Fake `MessageEmbed` from `discord.js`
+ */
+class MessageEmbed {
+    constructor(data = {}) {
+        this.title = data.title || null;
+        this.description = data.description || null;
+        this.url = data.url || null;
+        this.color = data.color || null;
+        this.timestamp = data.timestamp || null;
+        this.fields = data.fields || [];
+        this.author = data.author || null;
+        this.footer = data.footer || null;
+        this.thumbnail = data.thumbnail || null;
+        this.image = data.image || null;
+    }
+
+    setTitle(title) { this.title = title; return this; }
+    setDescription(description) { this.description = description; return this; }
+    setURL(url) { this.url = url; return this; }
+    setColor(color) { this.color = color; return this; }
+    setTimestamp(timestamp = Date.now()) { this.timestamp = timestamp; return this; }
+    setAuthor(author) { this.author = typeof author === "string" ? { name: author } : author; return this; }
+    setFooter(footer) { this.footer = typeof footer === "string" ? { text: footer } : footer; return this; }
+    setThumbnail(url) { this.thumbnail = { url }; return this; }
+    setImage(url) { this.image = { url }; return this; }
+    addField(name, value, inline = false) { this.fields.push({ name, value, inline }); return this; }
+    addFields(...fields) { this.fields.push(...fields.flat().map(field => Object.assign({ inline: false }, field))); return this; }
+    setFields(...fields) { this.fields = []; return this.addFields(...fields); }
+    spliceFields(index, count, ...fields) { this.fields.splice(index, count, ...fields.flat()); return this; }
+    toJSON() { return Object.assign({}, this); }
+}
+
+/**
+ * Fake `MessageActionRow` from `discord.js`
+ */
+class MessageActionRow {
+    constructor() { this.type = "ACTION_ROW"; this.components = []; }
+    addComponents(...components) { this.components.push(...components.flat()); return this; }
+    setComponents(...components) { this.components = components.flat(); return this; }
+}
+
+/**
+ * Fake `MessageButton` from `discord.js`
+ */
+class MessageButton {
+    constructor() { this.type = "BUTTON"; this.customId = null; this.label = null; this.style = null; this.emoji = null; this.url = null; this.disabled = false; }
+}
+
+/**
+ * Fake `MessageSelectMenu` from `discord.js`
+ */
+class MessageSelectMenu {
+    constructor() { this.type = "SELECT_MENU"; this.customId = null; this.placeholder = null; this.minValues = null; this.maxValues = null; this.disabled = false; this.options = []; }
+    addOptions(...options) { this.options.push(...options.flat()); return this; }
+    setOptions(...options) { this.options = options.flat(); return this; }
+}
+
+/**
+ * Fake `Modal` from `discord.js`
+ */
+class Modal {
+    constructor() { this.customId = null; this.title = null; this.components = []; }
+    addComponents(...components) { this.components.push(...components.flat()); return this; }
+}
+
+/**
+ * Fake `TextInputComponent` from `discord.js`
+ */
+class TextInputComponent {
+    constructor() { this.type = "TEXT_INPUT"; this.customId = null; this.label = null; this.style = null; this.required = false; this.placeholder = null; this.value = null; this.minLength = null; this.maxLength = null; }
+}
+
+setters(MessageButton, ["customId", "label", "style", "emoji", "url", "disabled"]);
+setters(MessageSelectMenu, ["customId", "placeholder", "minValues", "maxValues", "disabled"]);
+setters(Modal, ["customId", "title"]);
+setters(TextInputComponent, ["customId", "label", "style", "required", "placeholder", "value", "minLength", "maxLength"]);
+
+/**
+ * Test harness that is started and has changed `Date.now`, if any
+ */
+var running = null;
+
+/**
+ * Fake Discord API with the parts of `discord.js` DBF uses
+ */
+const API = {
+    Collection,
+    MessageEmbed,
+    MessageActionRow,
+    MessageButton,
+    MessageSelectMenu,
+    Modal,
+    TextInputComponent,
+    Permissions: FakePermissions,
+    MessageMentions: {
+        USERS_PATTERN: /<@!?(\d{17,19})>/g,
+        ROLES_PATTERN: /<@&(\d{17,19})>/g,
+        CHANNELS_PATTERN: /<#(\d{17,19})>/g
+    }
+};
+
+/**
+ * Adds `setName(value)` builder functions to a class, like the `discord.js` builders
+ * @param {Function} Class Class to add the functions to
+ * @param {Array} names Property names
+ */
+function setters(Class, names) {
+    for (const name of names) {
+        Class.prototype["set" + name.charAt(0).toUpperCase() + name.slice(1)] = function (...args) {
+            this[name] = args.length > 0 ? args[0] : true;
+            return this;
+        };
+    }
+}
+
+/**
+ * Creates a fake manager with a `cache` and `fetch()`, like `client.users` or `guild.members`
+ * @param {Function} resolve Function for turning a cached value into the fetched value
+ * @returns {Object} Fake manager
+ */
+function manager(resolve) {
+    const cache = new Collection();
+
+    return {
+        cache,
+        fetch: async id => {
+            if (typeof id === "undefined") return cache;
+            if (!cache.has(id)) throw new Error("Unknown " + id);
+            return resolve(cache.get(id));
+        },
+        resolve: id => cache.get(typeof id === "object" ? id.id : id) || null
+    };
+}
+
+module.exports = TestHarness;
+module.exports.TestHarness = TestHarness;
+module.exports.FakeClient = FakeClient;
+module.exports.FakeChannel = FakeChannel;
+module.exports.FakeMessage = FakeMessage;
+module.exports.FakeInteraction = FakeInteraction;
+module.exports.FakePermissions = FakePermissions;
+module.exports.discordApi = API;